@@ -1,17 +1,78 @@
 // App.js
-import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState, useCallback } from "react";
 import W2PLogo from "./W2P_Logo.png";
 import Mascot1 from "./W2P_MAS.png";
 import Mascot2 from "./W2P_MAS2.png";
+import { hexToRgb, rgbToHex, COLOR_METRICS } from "./color";
+import { DITHER_MODES, EMPTY } from "./dither";
+import { RESAMPLE_MODES } from "./resample";
+import { MAX_GRID_CELLS, MAX_PALETTE_COLORS, createMatcher } from "./quantize";
+import { createQuantizer } from "./quantizeClient";
+import {
+  EDIT_TOOLS, MAX_UNDO, applyDiff, applyEdits, countEdits, diffLayers, emptyLayer,
+  floodRegion, lineCells, rectCells, remapLayer
+} from "./editing";
+import { remainingCells, snapScreenshot } from "./compare";
+import { HEAT_GRADIENT, HEAT_MAX, deltaE, heatColour, planErrors } from "./quality";
+import { optimiseInBackground } from "./optimiseClient";
+import { applyRemap, normalizeRules, remapTable, ruleCounts } from "./remap";
+import {
+  MAX_LAYERS, NO_LAYER, fitLayerSize, flattenLayers, layerBoxes, layersExtent, newLayerId, pickLayerSettings
+} from "./layers";
+import {
+  ASSIGN_MODES, DEFAULT_ASSIGNMENT, MAX_MEMBERS, MEMBER_TINTS, UNASSIGNED,
+  assignCells, memberCells, newMemberId, normalizeAssignment, ownerCounts
+} from "./assign";
+import { COORD_SYSTEMS, TILE_SIZE, formatTile, fromTile, parseLocation, tileSpan, toTile } from "./wplace";
+import {
+  ASPECT_PRESETS, DEFAULT_TRANSFORM, FIT_MODES, MAX_STRAIGHTEN, dragCrop, fitCropToAspect, fitToAspect,
+  flipTransform, normalizeTransform, renderTransformed, rotateTransform, rotatedSize
+} from "./transform";
+import { ADJUSTMENT_CONTROLS, DEFAULT_ADJUSTMENTS, adjustPixels, isNeutral, normalizeAdjustments } from "./adjust";
+import {
+  MAX_RULER_MARGIN, coordsToCsv, exportBaseName, maxCanvasScale, planToCoords, planToSvg, renderPlanCanvas, rulerStep, templateBundle
+} from "./exporters";
+import { codeFromLink, crc32, decodeShareCode, encodeShareCode } from "./shareCode";
+import { BUILTIN_PALETTES, DEFAULT_PALETTE_ID, defaultEnabled, isBuiltinPalette, newPaletteId, normalizeHex } from "./palettes";
+import { PALETTE_FORMATS, parsePaletteFile, serializePalette } from "./paletteFiles";
+import { countColours, materialsToCsv, materialsToText } from "./materials";
+import { PLACEMENT_ORDERS, buildPlacementOrder, hashString } from "./placement";
+import {
+  deleteProject, duplicateProject, listProjects, loadProject, makeThumbnail, newProjectId,
+  projectFromFile, projectToFile, renameProject, saveProject
+} from "./projects";
 
 /**
  * Pixel Planner – r/place / wplace helper
  * - Drag & drop or file picker for input image
- * - Live pixelation with slider
- * - Hardcoded color palette (replace PALETTE with your set)
+ * - Live pixelation with slider (quantized in a Web Worker)
+ * - Resampling modes (nearest, box average, median, dominant colour)
+ * - Optional dithering (error diffusion or ordered Bayer)
+ * - Transparent source areas become empty "do not place" cells
+ * - Selectable colour-difference metric (CIE76/CIE94/CIEDE2000/OKLab/redmean)
+ * - Palette manager: built-in presets, custom palettes, palette file import/export
  * - Hover crosshair + pixel border highlight + coordinate readout
  * - Starting (origin) X/Y inputs to align coordinates
  * - Zoom control + Download PNG
+ * - Material list: pixel count per colour, CSV/text export, click to highlight
+ * - Guided placement with saved per-image progress
+ * - Pixel editing tools (pencil, eraser, fill, line, rectangle, eyedropper) with undo/redo
+ * - Compare with a screenshot of the live canvas; only mismatching pixels are left to place
+ * - Share codes carry the palette, options and optionally the pixel grid itself
+ * - Deep links (#plan=…); the URL follows settings so back/forward step through them
+ * - Crop, rotate, flip and straighten the source before pixelation
+ * - Exact width × height with aspect lock and fit / fill / stretch
+ * - Colour adjustments (brightness, contrast, saturation, gamma, hue, sharpen, posterize) on the grid colours before matching
+ * - Exports: PNG (1:1 or scaled template with grid and rulers), SVG, coordinate lists, template bundle
+ * - Grid lines, coordinate rulers and chunk boundaries on the stage
+ * - Pointer input: wheel zoom at the cursor, one-finger pan, pinch zoom, tap to inspect
+ * - Source comparison: split slider, onion skin and a ΔE heatmap with mean/max error
+ * - Optimise palette: best N-colour subset for the source, with kept colours and a preview
+ * - Colour remap rules (A → B) applied in order after matching
+ * - Layers: several images, each with its own settings and offset, flattened into one plan
+ * - Assignments: the plan split among group members, with their own exports and share links
+ * - wplace tile + pixel coordinates, and the origin set from a pasted wplace location
+ * - Project library in IndexedDB (image, settings, palette, edits); the last project reopens on load
  *
  * Works in a fresh Create React App with no extra dependencies.
  */
@@ -19,125 +80,225 @@ import Mascot2 from "./W2P_MAS2.png";
 // ----------------- Utilities -----------------
 function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
 
-function hexToRgb(hex) {
-  let h = hex.replace("#", "").trim();
-  if (h.length === 3) h = h.split("").map(c => c + c).join("");
-  const num = parseInt(h, 16);
-  return { r: (num >> 16) & 255, g: (num >> 8) & 255, b: num & 255 };
-}
-function rgbToHex({ r, g, b }) {
-  const toHex = (n) => n.toString(16).padStart(2, "0");
-  return `#${toHex(clamp(Math.round(r), 0, 255))}${toHex(clamp(Math.round(g), 0, 255))}${toHex(clamp(Math.round(b), 0, 255))}`.toUpperCase();
-}
-
-// sRGB → linear
-function srgbToLinear(c) { c /= 255; return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4); }
-// RGB → XYZ (D65)
-function rgbToXyz({ r, g, b }) {
-  const R = srgbToLinear(r), G = srgbToLinear(g), B = srgbToLinear(b);
-  return {
-    x: 0.4124564 * R + 0.3575761 * G + 0.1804375 * B,
-    y: 0.2126729 * R + 0.7151522 * G + 0.0721750 * B,
-    z: 0.0193339 * R + 0.1191920 * G + 0.9503041 * B,
-  };
-}
-// XYZ → Lab (D65)
-function xyzToLab({ x, y, z }) {
-  const xr = x / 0.95047, yr = y / 1.0, zr = z / 1.08883;
-  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (841 / 108) * t + 4 / 29);
-  const fx = f(xr), fy = f(yr), fz = f(zr);
-  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
-}
-function rgbToLab(rgb) { return xyzToLab(rgbToXyz(rgb)); }
-function labDistance(l1, l2) {
-  const dL = l1.L - l2.L, da = l1.a - l2.a, db = l1.b - l2.b;
-  return Math.sqrt(dL * dL + da * da + db * db);
-}
-function rgbDistance(c1, c2) {
-  const dr = c1.r - c2.r, dg = c1.g - c2.g, db = c1.b - c2.b;
-  return Math.sqrt(dr * dr + dg * dg + db * db);
-}
+// Stage grid lines appear from this zoom up; rulers are this many px thick
+const GRID_MIN_ZOOM = 6;
+const RULER_SIZE = 28;
+// A touch that moves less than this many px is a tap
+const TAP_SLOP = 8;
 
-// ----------------- Fixed Palette -----------------
-// Replace this with your exact palette (hex codes). Keep them uppercase & 6-digit.
-const PALETTE = [
-  // Common r/place-like sample palette; replace as needed with your provided colours:
-  "#000000","#1A1A1A","#545454","#6D6D6D","#898989","#BFBFBF","#FFFFFF",
-  "#6D001A","#BE0039","#FF4500","#FFA800","#FFD635","#FFF8B8",
-  "#00A368","#00CC78","#7EED56","#00756F","#009EAA","#00CCC0",
-  "#2450A4","#3690EA","#51E9F4","#493AC1","#6A5CFF","#94B3FF",
-  "#811E9F","#B44AC0","#E4ABFF","#DE107F","#FF99AA",
-  "#6D482F","#9C6926","#FFB470"
+// Stage views comparing the plan with the source colours it was matched from
+const VIEW_MODES = [
+  { id: "plan", label: "Plan" },
+  { id: "split", label: "Split" },
+  { id: "onion", label: "Onion skin" },
+  { id: "heatmap", label: "ΔE heatmap" },
 ];
 
-// Base set used by the "Base set" button - colors from the BASESETCOLOURS.png
-const BASE_SET = [
-  "#000000", "#1D2951", "#898989", "#D4D7D9", "#FFFFFF", "#6D001A", "#BE0039", "#FF4500", "#FFA800", "#FFD635", "#FFF8B8",
-  "#7030A0", "#9C44C0", "#E4ABFF", "#DE107F", "#FF99AA", "#6D482F", "#9C6926", "#FFAB70",
-  "#00A368", "#00CC78", "#7EED56", "#00756F", "#009EAA", "#00CCC0", "#51E9F4", "#2450A4", "#3690EA"
-];
+// Zoom is px per cell; wheel and pinch zoom make it fractional, kept to two decimals
+function clampZoom(z) { return clamp(Math.round(z * 100) / 100, 1, 64); }
+
+// This page with a share code in the fragment
+function planLink(code) {
+  return `${window.location.origin}${window.location.pathname}${window.location.search}#plan=${code}`;
+}
+
+// Save a text file via a temporary object URL
+function downloadText(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
 export default function App() {
   // State
   const [img, setImg] = useState(null);         // HTMLImageElement
+  const [imageInfo, setImageInfo] = useState(null); // { name, key } of the loaded file
+  const [imageBlob, setImageBlob] = useState(null); // the original file, kept for the project library
+  const [projectId, setProjectId] = useState(null); // open project, null when the image isn't saved
+  const [projects, setProjects] = useState([]);     // light records for the library list
+  const [projectSaveError, setProjectSaveError] = useState(null); // why the open project's last save failed
+  // Layers, bottom first: { id, name, visible, locked, x, y } and, stored while another layer is
+  // being worked on, { img, imageBlob, imageInfo, settings, edits, plan }. Empty for a single image.
+  const [layers, setLayers] = useState([]);
+  const [activeLayerId, setActiveLayerId] = useState(null);
   const [pixelsAcross, setPixelsAcross] = useState(100);
+  const [pixelsDown, setPixelsDown] = useState(100); // only used while the aspect lock is off
+  const [lockAspect, setLockAspect] = useState(true);
+  const [fitMode, setFitMode] = useState("fit");
+  const [resampleMode, setResampleMode] = useState("nearest");
+  const [ditherMode, setDitherMode] = useState("none");
+  const [ditherStrength, setDitherStrength] = useState(100); // percent
+  const [alphaThreshold, setAlphaThreshold] = useState(50); // percent; cells below become empty
+  const [transform, setTransform] = useState(DEFAULT_TRANSFORM); // crop / rotate / flip, see transform.js
+  const [adjustments, setAdjustments] = useState(DEFAULT_ADJUSTMENTS); // see adjust.js
   const [zoom, setZoom] = useState(8);          // px-per-pixel on screen
   const [genesisX, setGenesisX] = useState(0);
   const [genesisY, setGenesisY] = useState(0);
-  const [gridW, setGridW] = useState(0);
-  const [gridH, setGridH] = useState(0);
-  const [gridColors, setGridColors] = useState([]); // flat array of hex strings
+  const [coordSystem, setCoordSystem] = useState("global"); // see COORD_SYSTEMS in wplace.js
+  const [locationText, setLocationText] = useState(""); // pasted wplace link or tile string
+  // Quantized grid: palette index per cell (EMPTY = no colour) plus the palette colours it refers to
+  // source: the W×H RGBA colours the cells were matched from (none for a grid from a share code)
+  const [grid, setGrid] = useState({ w: 0, h: 0, cells: new Uint8Array(0), colors: [] });
   const [hover, setHover] = useState({ x: -1, y: -1 });
   const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
+  const [zoomAnchor, setZoomAnchor] = useState(null); // { clientX, clientY, u, v }: cell point (u, v) is kept under that screen point
   const [lockPixelation, setLockPixelation] = useState(false);
   const [lockGenesis, setLockGenesis] = useState(false);
   // New: share/import code
   const [shareCode, setShareCode] = useState("");
+  const [shareIncludesGrid, setShareIncludesGrid] = useState(false);
+  // The grid came from a share code rather than quantizing the image
+  const [gridFromCode, setGridFromCode] = useState(false);
   // New: mouse position in stage pixels for tooltip placement
   const [mousePx, setMousePx] = useState({ x: 0, y: 0 });
   // New: Intro modal visibility
   const [showIntro, setShowIntro] = useState(true);
   const [introStep, setIntroStep] = useState(1);
-  // Palette controls - default to only base set enabled
-  const [paletteEnabled, setPaletteEnabled] = useState(() => PALETTE.map(hex => BASE_SET.includes(hex)));
+  // Palettes: built-in presets + user palettes; enabled flags are kept per palette id
+  const [customPalettes, setCustomPalettes] = useState([]);
+  const [activePaletteId, setActivePaletteId] = useState(DEFAULT_PALETTE_ID);
+  const [enabledByPalette, setEnabledByPalette] = useState({});
+  const [paletteExportFormat, setPaletteExportFormat] = useState("gpl");
+  const [newColourHex, setNewColourHex] = useState("");
+  const [newColourName, setNewColourName] = useState("");
   const [lockPalette, setLockPalette] = useState(false);
   const [paletteOpen, setPaletteOpen] = useState(false);
+  const [remapRules, setRemapRules] = useState([]); // [{ from, to }] hex pairs, see remap.js
+  const [replaceFrom, setReplaceFrom] = useState(null); // palette index whose "replace all with…" is open
+  const [highlightColour, setHighlightColour] = useState(null); // palette index picked in the material list
+  const [optimiseCount, setOptimiseCount] = useState(16);
+  const [keepHexes, setKeepHexes] = useState([]); // colours the optimiser always keeps
+  const [optimisePreview, setOptimisePreview] = useState(null); // { enabled, chosen, error, currentError } shown before applying
+  const [optimiseFromEnabled, setOptimiseFromEnabled] = useState(true); // only choose among the enabled colours
+  const [optimising, setOptimising] = useState(false);
+  // Guided placement: progress is an ordered list of placed cell indices (last = first to undo)
+  const [guideActive, setGuideActive] = useState(false);
+  const [guideOrder, setGuideOrder] = useState("row");
+  const [progress, setProgress] = useState({ key: null, placed: [] });
+  // Manual edits: layer over the quantized grid, tied to its size and palette ({ w, h, palette: hex[], layer })
+  const [edits, setEdits] = useState(null);
+  const [editHistory, setEditHistory] = useState({ undo: [], redo: [] });
+  const [tool, setTool] = useState("pan");
+  const [brushHex, setBrushHex] = useState("#000000");
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [shapePreview, setShapePreview] = useState(null); // [x, y] cells of a line/rectangle being dragged
+  // Screenshot of the live canvas: { name, data: ImageData }, its top-left canvas coordinate and pixel scale
+  const [screenshot, setScreenshot] = useState(null);
+  const [shotOrigin, setShotOrigin] = useState({ x: 0, y: 0 });
+  const [shotScale, setShotScale] = useState(1);
+  const [showMismatches, setShowMismatches] = useState(true);
+  const [exportGridLines, setExportGridLines] = useState(true);
+  const [exportRulers, setExportRulers] = useState(true);
+  // Stage guides: grid lines, rulers and chunk boundaries every `chunkSize` absolute pixels (0 = off)
+  const [showGrid, setShowGrid] = useState(true);
+  const [showRulers, setShowRulers] = useState(true);
+  const [chunkSize, setChunkSize] = useState(1000);
+  const [viewMode, setViewMode] = useState("plan"); // see VIEW_MODES
+  const [splitPos, setSplitPos] = useState(50);       // % of the stage showing the source in split view
+  const [onionOpacity, setOnionOpacity] = useState(50); // % source opacity in onion-skin view
+  const [colorMetric, setColorMetric] = useState("cie76");
+  // Splitting the plan among group members, see assign.js
+  const [assignment, setAssignment] = useState(DEFAULT_ASSIGNMENT);
+  const [showAssignment, setShowAssignment] = useState(true);
+  const [newMemberName, setNewMemberName] = useState("");
+  const [assignDrawTo, setAssignDrawTo] = useState(null); // member id whose rectangle is drawn by dragging on the stage
+  const [assignDrag, setAssignDrag] = useState(null); // { x0, y0, x1, y1 } cells of the rectangle being dragged
 
   // Refs
   const baseCanvasRef = useRef(null);
   const overlayRef = useRef(null);
   const fileInputRef = useRef(null);
+  const paletteFileRef = useRef(null);
+  const screenshotFileRef = useRef(null);
+  const projectFileRef = useRef(null);
+  const layerFileRef = useRef(null);
+  const saveProjectNowRef = useRef(() => {}); // saves the open project straight away, see below
+  const strokeRef = useRef(null); // edit in progress while the mouse button is down
+  const rulerTopRef = useRef(null);
+  const rulerLeftRef = useRef(null);
+  const compareCanvasRef = useRef(null);
+  const stageRef = useRef(null);
+  const stageBoxRef = useRef(null); // the scrolling box around the stage
+
+  // Active palette (hex list) and its enabled flags - defaults to the palette's base set
+  const palettes = useMemo(() => [...BUILTIN_PALETTES, ...customPalettes], [customPalettes]);
+  const activePalette = useMemo(
+    () => palettes.find(p => p.id === activePaletteId) || palettes[0],
+    [palettes, activePaletteId]
+  );
+  const palette = useMemo(() => activePalette.colors.map(c => c.hex), [activePalette]);
+  const paletteEnabled = useMemo(() => {
+    const saved = enabledByPalette[activePalette.id];
+    return Array.isArray(saved) && saved.length === palette.length ? saved : defaultEnabled(activePalette);
+  }, [enabledByPalette, activePalette, palette]);
+  const setPaletteEnabled = useCallback((next) => {
+    setEnabledByPalette(prev => ({
+      ...prev,
+      [activePalette.id]: typeof next === "function" ? next(paletteEnabled) : next,
+    }));
+  }, [activePalette, paletteEnabled]);
+
+  // An optimised palette being previewed is quantized with instead of the enabled set
+  const quantizeEnabled = optimisePreview ? optimisePreview.enabled : paletteEnabled;
 
-  // Precompute palette in RGB & Lab
-  const paletteRGB = useMemo(() => PALETTE.map(hexToRgb), []);
-  const paletteLab = useMemo(() => paletteRGB.map(rgbToLab), [paletteRGB]);
   const enabledIndices = useMemo(() => {
     const arr = [];
     for (let i = 0; i < paletteEnabled.length; i++) if (paletteEnabled[i]) arr.push(i);
     return arr;
   }, [paletteEnabled]);
 
-  // Nearest palette color (Lab for perceptual accuracy), honoring enabled colours
-  const pickNearest = useCallback((rgb) => {
-    let best = Infinity, idx = 0;
-    const lab = rgbToLab(rgb);
-    const pool = enabledIndices.length ? enabledIndices : [...PALETTE.keys()];
-    for (let k = 0; k < pool.length; k++) {
-      const i = pool[k];
-      const d = labDistance(lab, paletteLab[i]);
-      if (d < best) { best = d; idx = i; }
-    }
-    return PALETTE[idx];
-  }, [paletteLab, enabledIndices]);
+  // Changing the grid size or image throws manual edits away, so ask first
+  const editCount = useMemo(() => countEdits(edits?.layer), [edits]);
+  const discardEdits = useCallback(() => {
+    setEdits(null);
+    setEditHistory({ undo: [], redo: [] });
+  }, []);
+  const confirmDiscardEdits = useCallback(() => {
+    if (!editCount) return true;
+    if (!window.confirm(`This will discard ${editCount} manually edited pixel${editCount === 1 ? "" : "s"}. Continue?`)) return false;
+    discardEdits();
+    return true;
+  }, [editCount, discardEdits]);
+  // Palette changes keep edits whose colour still exists in the new palette
+  const confirmPaletteChange = (nextHex) => {
+    if (!edits) return true;
+    const { lost } = remapLayer(edits.layer, edits.palette, nextHex);
+    return !lost || window.confirm(`${lost} manually edited pixel${lost === 1 ? " uses a colour" : "s use colours"} missing from the new palette and will be discarded. Continue?`);
+  };
+  const changePixelsAcross = (value) => {
+    if (value === pixelsAcross || !confirmDiscardEdits()) return;
+    setPixelsAcross(value);
+  };
+  const changePixelsDown = (value) => {
+    if (value === pixelsDown || !confirmDiscardEdits()) return;
+    setPixelsDown(value);
+  };
+
   // Handle file -> HTMLImageElement
+  // Every new image starts a project of its own with the current settings; an open
+  // project is saved first and keeps its edits
   const loadImageFromFile = useCallback((file) => {
+  if (!projectId && !confirmDiscardEdits()) return;
   const url = URL.createObjectURL(file);
   const image = new Image();
-  image.onload = () => setImg(image);
+  image.onload = () => {
+    saveProjectNowRef.current();
+    discardEdits();
+    setLayers([]);
+    setActiveLayerId(null);
+    setImg(image);
+    setImageBlob(file);
+    setGridFromCode(false);
+    setImageInfo({ name: file.name, key: `${file.name}:${file.size}:${file.lastModified}` });
+    setProjectId(newProjectId());
+  };
   image.src = url;
-  }, []);
+  }, [projectId, confirmDiscardEdits, discardEdits]);
   const onDrop = (e) => {
     e.preventDefault();
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
@@ -146,32 +307,181 @@ export default function App() {
   };
   const onDragOver = (e) => e.preventDefault();
 
-  // Compute pixelated grid whenever image or resolution changes
-  const processImage = useCallback(() => {
-    if (!img) return;
-    const aspect = img.naturalWidth / img.naturalHeight;
-    const W = Math.max(1, Math.round(pixelsAcross));
-    const H = Math.max(1, Math.round(W / aspect));
-    setGridW(W); setGridH(H);
-
-    const off = document.createElement("canvas");
-    off.width = W; off.height = H;
-    const octx = off.getContext("2d", { willReadFrequently: true });
-    octx.imageSmoothingEnabled = false;
-    octx.drawImage(img, 0, 0, W, H);
-
-    const data = octx.getImageData(0, 0, W, H).data;
-    const colors = new Array(W * H);
-    for (let y = 0; y < H; y++) {
-      for (let x = 0; x < W; x++) {
-        const i = (y * W + x) * 4;
-        const r = data[i], g = data[i + 1], b = data[i + 2];
-        colors[y * W + x] = pickNearest({ r, g, b });
-      }
+  // The image as pixelated: cropped, rotated and flipped
+  const source = useMemo(
+    () => (img ? renderTransformed(img, img.naturalWidth, img.naturalHeight, transform) : null),
+    [img, transform]
+  );
+
+  // Grid size: height follows the source shape unless the aspect lock is off.
+  // The cell budget caps the size instead of a fixed maximum width.
+  const sourceAspect = source ? source.width / source.height : 1;
+  const maxAcross = lockAspect
+    ? Math.max(1, Math.floor(Math.sqrt(MAX_GRID_CELLS * sourceAspect)))
+    : Math.max(1, Math.floor(MAX_GRID_CELLS / pixelsDown));
+  const maxDown = lockAspect ? 1 : Math.max(1, Math.floor(MAX_GRID_CELLS / pixelsAcross));
+  const sizeW = clamp(Math.round(pixelsAcross), 1, maxAcross);
+  const sizeH = lockAspect ? Math.max(1, Math.round(sizeW / sourceAspect)) : clamp(Math.round(pixelsDown), 1, maxDown);
+  // With layers the flattened plan keeps to the budget too: the active layer shrinks to fit beside the others
+  const activeLayer = layers.find(l => l.id === activeLayerId) || null;
+  const layerX = activeLayer ? Math.max(0, activeLayer.x) : 0, layerY = activeLayer ? Math.max(0, activeLayer.y) : 0;
+  const { w: targetW, h: targetH } = activeLayer
+    ? fitLayerSize(layerBoxes(layers.filter(l => l.id !== activeLayerId)), layerX, layerY, sizeW, sizeH, MAX_GRID_CELLS)
+    : { w: sizeW, h: sizeH };
+  const toggleLockAspect = () => {
+    if (lockAspect) setPixelsDown(targetH);
+    else if (!confirmDiscardEdits()) return;
+    setLockAspect(v => !v);
+  };
+  const [sizeDraft, setSizeDraft] = useState({ w: null, h: null }); // text being typed into the size fields
+
+  // Source reshaped to the grid's proportions (fit / fill); stretched otherwise
+  const fitted = useMemo(
+    () => (source && !lockAspect ? fitToAspect(source, targetW / targetH, fitMode) : source),
+    [source, lockAspect, fitMode, targetW, targetH]
+  );
+
+  // Full-resolution source pixels, read once per image for the area-based resamplers
+  const sourcePixels = useMemo(() => {
+    if (!fitted) return null;
+    const cctx = fitted.getContext("2d", { willReadFrequently: true });
+    if (!cctx) return null;
+    return cctx.getImageData(0, 0, fitted.width, fitted.height);
+  }, [fitted]);
+
+  // Quantization runs in a worker; stale results are dropped while the user drags sliders
+  const quantizerRef = useRef(null);
+  useEffect(() => {
+    const quantizer = createQuantizer();
+    quantizerRef.current = quantizer;
+    return () => quantizer.dispose();
+  }, []);
+
+  // Compute pixelated grid whenever image, resolution or colour options change
+  useEffect(() => {
+    if (!fitted || gridFromCode || !quantizerRef.current) return;
+    const W = targetW, H = targetH;
+
+    // Nearest-neighbour sampling is done by the canvas here; area modes read the full source in the worker
+    const useSource = resampleMode !== "nearest" && !!sourcePixels;
+    let pixels = null;
+    if (!useSource) {
+      const off = document.createElement("canvas");
+      off.width = W; off.height = H;
+      const octx = off.getContext("2d", { willReadFrequently: true });
+      if (!octx) return;
+      octx.imageSmoothingEnabled = false;
+      octx.drawImage(fitted, 0, 0, W, H);
+      pixels = octx.getImageData(0, 0, W, H).data;
     }
-    setGridColors(colors);
-  }, [img, pixelsAcross, pickNearest]);
-  useEffect(() => { processImage(); }, [processImage]);
+
+    const colors = activePalette.colors;
+    let cancelled = false;
+    quantizerRef.current.run({
+      W,
+      H,
+      pixels,
+      resampleMode,
+      ditherMode,
+      ditherStrength: ditherStrength / 100,
+      alphaThreshold: (alphaThreshold / 100) * 255,
+      palette,
+      enabled: quantizeEnabled,
+      metric: colorMetric,
+      adjust: adjustments,
+    }, useSource ? sourcePixels : null).then(result => {
+      if (!cancelled && result) setGrid({ w: W, h: H, cells: result.cells, colors, source: result.pixels });
+    });
+    return () => { cancelled = true; };
+  }, [fitted, gridFromCode, sourcePixels, targetW, targetH, resampleMode, ditherMode, ditherStrength, alphaThreshold, activePalette, palette, quantizeEnabled, colorMetric, adjustments]);
+
+  const gridHexKey = useMemo(() => grid.colors.map(c => c.hex).join(), [grid.colors]);
+
+  // Edits only apply to a grid of the size and palette they were made on;
+  // after a palette change they are re-pointed at the new palette's indices
+  useEffect(() => {
+    if (!edits || !grid.w) return;
+    if (edits.w !== grid.w || edits.h !== grid.h) { discardEdits(); return; }
+    if (edits.palette.join() === gridHexKey) return;
+    const hexes = grid.colors.map(c => c.hex);
+    setEdits({ ...edits, palette: hexes, layer: remapLayer(edits.layer, edits.palette, hexes).layer });
+    setEditHistory({ undo: [], redo: [] });
+  }, [edits, grid, gridHexKey, discardEdits]);
+  const editLayer = edits && edits.w === grid.w && edits.h === grid.h && edits.palette.join() === gridHexKey ? edits.layer : null;
+
+  // The active layer: quantized grid, remap rules, then manual edits on top
+  const remapped = useMemo(() => applyRemap(grid.cells, remapTable(remapRules, grid.colors)), [grid, remapRules]);
+  const layerPlan = useMemo(() => ({ ...grid, cells: applyEdits(remapped, editLayer) }), [grid, remapped, editLayer]);
+  const gridRGB = useMemo(() => grid.colors.map(c => hexToRgb(c.hex)), [grid.colors]);
+
+  // The plan: the visible layers flattened, or the one image. Everything below works on this.
+  // Until the active layer is quantized again its stored plan stands in.
+  const plan = useMemo(() => {
+    if (!layers.length) return layerPlan;
+    const parts = layers
+      .map(l => ({ id: l.id, name: l.name, x: l.x, y: l.y, visible: l.visible, plan: l.id === activeLayerId && grid.w ? layerPlan : l.plan }))
+      .filter(l => l.visible && l.plan);
+    return { ...flattenLayers(parts), layerIds: parts.map(l => l.id), layerNames: parts.map(l => l.name) };
+  }, [layers, activeLayerId, grid.w, layerPlan]);
+  const gridW = plan.w, gridH = plan.h;
+  const planRGB = useMemo(() => plan.colors.map(c => hexToRgb(c.hex)), [plan.colors]);
+  // Plan cell → cell of the active layer's grid, or -1 where the plan shows another layer
+  const activeIndex = (i) => {
+    if (!layers.length) return i;
+    if (!grid.w || plan.layerIds[plan.layerOf[i]] !== activeLayerId) return -1;
+    return (Math.floor(i / gridW) - layerY) * grid.w + (i % gridW) - layerX;
+  };
+  const layerCount = layers.length;
+  // Cells each layer shows in the flattened plan, by id
+  const layerPixels = useMemo(() => {
+    const counts = {};
+    if (!plan.layerOf) return counts;
+    const perPart = new Array(plan.layerIds.length).fill(0);
+    plan.layerOf.forEach(k => { if (k !== NO_LAYER) perPart[k]++; });
+    plan.layerIds.forEach((id, k) => { counts[id] = perPart[k]; });
+    return counts;
+  }, [plan]);
+  const layerNameAt = (i) => (layerCount > 1 && plan.layerOf[i] !== NO_LAYER ? plan.layerNames[plan.layerOf[i]] : null);
+  // Hex of a cell (null when empty) – what the tooltip and exports show
+  const cellHex = useCallback((i) => {
+    const c = plan.cells[i];
+    return c === EMPTY || c === undefined ? null : plan.colors[c].hex;
+  }, [plan]);
+
+  // Source comparison. The ΔE of every cell is only worked out for the heatmap;
+  // the tooltip measures the hovered cell on its own.
+  // With layers this is the active layer, drawn at its offset.
+  const hasSource = !!grid.source && grid.source.length === grid.w * grid.h * 4;
+  const quality = useMemo(
+    () => (viewMode === "heatmap" && hasSource ? planErrors(grid.source, grid.cells, layerPlan.cells, layerPlan.colors) : null),
+    [viewMode, hasSource, grid, layerPlan]
+  );
+  const sourceAt = (i) => {
+    const li = activeIndex(i);
+    if (!hasSource || li < 0 || grid.cells[li] === EMPTY) return null;
+    const rgb = { r: grid.source[li * 4], g: grid.source[li * 4 + 1], b: grid.source[li * 4 + 2] };
+    const c = layerPlan.cells[li];
+    return { hex: rgbToHex(rgb), deltaE: c === EMPTY ? null : deltaE(rgb, gridRGB[c]) };
+  };
+  useEffect(() => {
+    const canvas = compareCanvasRef.current;
+    if (!canvas || viewMode === "plan" || !hasSource) return;
+    canvas.width = gridW;
+    canvas.height = gridH;
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    const out = ctx.createImageData(grid.w, grid.h);
+    if (viewMode === "heatmap" && quality) {
+      quality.errors.forEach((d, i) => {
+        if (Number.isNaN(d)) return;
+        const { r, g, b } = heatColour(d);
+        out.data.set([r, g, b, 255], i * 4);
+      });
+    } else {
+      out.data.set(grid.source);
+    }
+    ctx.putImageData(out, layerX, layerY);
+  }, [viewMode, hasSource, grid, quality, gridW, gridH, layerX, layerY]);
 
   // Draw main canvas when grid updates
   useEffect(() => {
@@ -182,13 +492,159 @@ export default function App() {
     const ctx = canvas.getContext("2d");
     const imgData = ctx.createImageData(gridW, gridH);
     const buf = imgData.data;
+    const cells = plan.cells;
     for (let i = 0; i < gridW * gridH; i++) {
-      const { r, g, b } = hexToRgb(gridColors[i] || "#000000");
+      if (cells[i] === EMPTY) continue; // empty cells stay transparent
+      const { r, g, b } = planRGB[cells[i]];
       const j = i * 4;
       buf[j] = r; buf[j + 1] = g; buf[j + 2] = b; buf[j + 3] = 255;
     }
     ctx.putImageData(imgData, 0, 0);
-  }, [gridW, gridH, gridColors]);
+  }, [plan, gridW, gridH, planRGB]);
+
+  // Live canvas snapped to the plan's palette (every colour, enabled or not, can appear on the canvas)
+  const live = useMemo(() => {
+    if (!screenshot || !gridW || !gridH) return null;
+    const { nearest } = createMatcher(plan.colors.map(c => c.hex), plan.colors.map(() => true), colorMetric);
+    return snapScreenshot(screenshot.data, {
+      W: gridW, H: gridH,
+      genesisX: Number(genesisX) || 0, genesisY: Number(genesisY) || 0,
+      originX: shotOrigin.x, originY: shotOrigin.y,
+      scale: shotScale, alphaThreshold: alphaThreshold * 2.55
+    }, nearest);
+  }, [screenshot, plan.colors, gridW, gridH, genesisX, genesisY, shotOrigin, shotScale, alphaThreshold, colorMetric]);
+  // What is still to be placed: the whole plan, or only mismatches while comparing
+  const targetCells = useMemo(() => (live ? remainingCells(plan.cells, live.cells) : plan.cells), [plan, live]);
+  const planFilled = useMemo(() => plan.cells.reduce((n, c) => n + (c === EMPTY ? 0 : 1), 0), [plan]);
+
+  // Pixel counts per colour for the material list
+  const materials = useMemo(() => countColours(targetCells, plan.colors), [targetCells, plan.colors]);
+  useEffect(() => {
+    if (highlightColour !== null && !materials.rows.some(r => r.index === highlightColour)) setHighlightColour(null);
+  }, [materials, highlightColour]);
+
+  // 1:1 mask that dims every cell except the highlighted colour
+  const highlightMask = useMemo(() => {
+    if (highlightColour === null || !gridW || !gridH) return null;
+    const c = document.createElement("canvas");
+    c.width = gridW; c.height = gridH;
+    const mctx = c.getContext("2d");
+    if (!mctx) return null;
+    const mask = mctx.createImageData(gridW, gridH);
+    for (let i = 0; i < gridW * gridH; i++) {
+      if (plan.cells[i] !== highlightColour) mask.data[i * 4 + 3] = 170;
+    }
+    mctx.putImageData(mask, 0, 0);
+    return c;
+  }, [highlightColour, plan, gridW, gridH]);
+
+  // Guided placement: progress is stored per image file (or set of layers) and grid size
+  const planKey = layers.length ? `layers:${layers.map(l => l.id).join()}` : imageInfo?.key;
+  const progressKey = planKey && gridW && gridH ? `${planKey}|${gridW}x${gridH}` : null;
+  useEffect(() => {
+    if (progress.key === progressKey) return;
+    let placed = [];
+    try {
+      const all = JSON.parse(localStorage.getItem('w2p_progress') || '{}');
+      if (progressKey && Array.isArray(all[progressKey])) placed = all[progressKey].filter(Number.isInteger);
+    } catch {}
+    setProgress({ key: progressKey, placed });
+  }, [progressKey, progress.key]);
+  useEffect(() => {
+    if (!progress.key) return;
+    try {
+      const all = JSON.parse(localStorage.getItem('w2p_progress') || '{}');
+      if (progress.placed.length) all[progress.key] = progress.placed;
+      else delete all[progress.key];
+      localStorage.setItem('w2p_progress', JSON.stringify(all));
+    } catch {}
+  }, [progress]);
+
+  const placedSet = useMemo(() => new Set(progress.placed), [progress.placed]);
+  const placementOrder = useMemo(
+    () => (guideActive ? buildPlacementOrder(targetCells, gridW, gridH, guideOrder, hashString(progressKey || "")) : []),
+    [guideActive, targetCells, gridW, gridH, guideOrder, progressKey]
+  );
+  const guide = useMemo(() => {
+    let done = 0, current = -1;
+    for (let k = 0; k < placementOrder.length; k++) {
+      if (placedSet.has(placementOrder[k])) done++;
+      else if (current < 0) current = placementOrder[k];
+    }
+    return { done, total: placementOrder.length, current };
+  }, [placementOrder, placedSet]);
+
+  const markPlaced = () => {
+    if (guide.current < 0) return;
+    setProgress(p => ({ ...p, placed: [...p.placed, guide.current] }));
+  };
+  const undoPlaced = () => {
+    setProgress(p => ({ ...p, placed: p.placed.slice(0, -1) }));
+  };
+  const resetProgress = () => {
+    if (!window.confirm("Clear placement progress for this image?")) return;
+    setProgress(p => ({ ...p, placed: [] }));
+  };
+
+  // 1:1 mask marking cells that differ from the live canvas
+  const mismatchMask = useMemo(() => {
+    if (!live || !showMismatches || !gridW || !gridH) return null;
+    const c = document.createElement("canvas");
+    c.width = gridW; c.height = gridH;
+    const mctx = c.getContext("2d");
+    if (!mctx) return null;
+    const mask = mctx.createImageData(gridW, gridH);
+    for (let i = 0; i < gridW * gridH; i++) {
+      if (targetCells[i] === EMPTY) continue;
+      mask.data[i * 4] = 255;
+      mask.data[i * 4 + 2] = 64;
+      mask.data[i * 4 + 3] = 150;
+    }
+    mctx.putImageData(mask, 0, 0);
+    return c;
+  }, [live, showMismatches, targetCells, gridW, gridH]);
+
+  // 1:1 mask that darkens cells already placed
+  const placedMask = useMemo(() => {
+    if (!guideActive || !placedSet.size || !gridW || !gridH) return null;
+    const c = document.createElement("canvas");
+    c.width = gridW; c.height = gridH;
+    const mctx = c.getContext("2d");
+    if (!mctx) return null;
+    const mask = mctx.createImageData(gridW, gridH);
+    placedSet.forEach(i => {
+      if (i < 0 || i >= gridW * gridH) return;
+      mask.data[i * 4 + 1] = 40; // slight green tint
+      mask.data[i * 4 + 3] = 190;
+    });
+    mctx.putImageData(mask, 0, 0);
+    return c;
+  }, [guideActive, placedSet, gridW, gridH]);
+
+  // Owner of every cell and a 1:1 tint per member's area
+  const owner = useMemo(
+    () => (assignment.members.length && gridW ? assignCells(plan.cells, gridW, gridH, assignment) : null),
+    [plan, gridW, gridH, assignment]
+  );
+  const memberCounts = useMemo(() => (owner ? ownerCounts(owner, assignment.members.length) : []), [owner, assignment.members.length]);
+  const unassignedCount = owner ? planFilled - memberCounts.reduce((a, b) => a + b, 0) : 0;
+  const memberTint = (k) => MEMBER_TINTS[k % MEMBER_TINTS.length];
+  const assignMask = useMemo(() => {
+    if (!owner || !showAssignment) return null;
+    const c = document.createElement("canvas");
+    c.width = gridW; c.height = gridH;
+    const mctx = c.getContext("2d");
+    if (!mctx) return null;
+    const tints = MEMBER_TINTS.map(hexToRgb);
+    const mask = mctx.createImageData(gridW, gridH);
+    for (let i = 0; i < gridW * gridH; i++) {
+      if (owner[i] === UNASSIGNED) continue;
+      const { r, g, b } = tints[owner[i] % tints.length];
+      mask.data.set([r, g, b, 110], i * 4);
+    }
+    mctx.putImageData(mask, 0, 0);
+    return c;
+  }, [owner, showAssignment, gridW, gridH]);
 
   // Draw overlay (neon crosshair + pixel border + frame)
   useEffect(() => {
@@ -199,6 +655,90 @@ export default function App() {
     const ctx = overlay.getContext("2d");
     ctx.clearRect(0, 0, overlay.width, overlay.height);
 
+    ctx.imageSmoothingEnabled = false;
+    if (placedMask) ctx.drawImage(placedMask, 0, 0, overlay.width, overlay.height);
+    if (highlightMask) ctx.drawImage(highlightMask, 0, 0, overlay.width, overlay.height);
+    if (mismatchMask) ctx.drawImage(mismatchMask, 0, 0, overlay.width, overlay.height);
+    if (assignMask) ctx.drawImage(assignMask, 0, 0, overlay.width, overlay.height);
+
+    // Members' rectangles, and one being dragged
+    if (showAssignment && assignment.mode === "manual") {
+      ctx.lineWidth = 2;
+      assignment.rects.forEach(r => {
+        const k = assignment.members.findIndex(m => m.id === r.member);
+        ctx.strokeStyle = memberTint(k);
+        ctx.strokeRect(r.x * zoom + 1, r.y * zoom + 1, r.w * zoom - 2, r.h * zoom - 2);
+      });
+    }
+    if (assignDrag) {
+      const k = assignment.members.findIndex(m => m.id === assignDrawTo);
+      ctx.strokeStyle = memberTint(Math.max(0, k));
+      ctx.lineWidth = 2;
+      ctx.setLineDash([5, 3]);
+      const x = Math.min(assignDrag.x0, assignDrag.x1), y = Math.min(assignDrag.y0, assignDrag.y1);
+      ctx.strokeRect(x * zoom + 1, y * zoom + 1, (Math.abs(assignDrag.x1 - assignDrag.x0) + 1) * zoom - 2, (Math.abs(assignDrag.y1 - assignDrag.y0) + 1) * zoom - 2);
+      ctx.setLineDash([]);
+    }
+
+    // Line / rectangle being dragged
+    if (shapePreview) {
+      ctx.globalAlpha = 0.8;
+      ctx.fillStyle = brushHex;
+      shapePreview.forEach(([x, y]) => ctx.fillRect(x * zoom, y * zoom, zoom, zoom));
+      ctx.globalAlpha = 1;
+    }
+
+    // Grid lines on absolute coordinates, heavier every 5 and 10 cells
+    const ox = Number(genesisX) || 0, oy = Number(genesisY) || 0;
+    if (showGrid && zoom >= GRID_MIN_ZOOM) {
+      const weight = (abs) => (abs % 10 === 0 ? 0.55 : abs % 5 === 0 ? 0.35 : 0.15);
+      ctx.lineWidth = 1;
+      for (let x = 1; x < gridW; x++) {
+        ctx.strokeStyle = `rgba(0,0,0,${weight(ox + x)})`;
+        ctx.beginPath();
+        ctx.moveTo(x * zoom + 0.5, 0);
+        ctx.lineTo(x * zoom + 0.5, overlay.height);
+        ctx.stroke();
+      }
+      for (let y = 1; y < gridH; y++) {
+        ctx.strokeStyle = `rgba(0,0,0,${weight(oy + y)})`;
+        ctx.beginPath();
+        ctx.moveTo(0, y * zoom + 0.5);
+        ctx.lineTo(overlay.width, y * zoom + 0.5);
+        ctx.stroke();
+      }
+    }
+
+    // Chunk / tile boundaries
+    if (chunkSize > 0) {
+      ctx.strokeStyle = "#3D8BFF";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      const firstX = (chunkSize - (((ox % chunkSize) + chunkSize) % chunkSize)) % chunkSize;
+      const firstY = (chunkSize - (((oy % chunkSize) + chunkSize) % chunkSize)) % chunkSize;
+      for (let x = firstX || chunkSize; x < gridW; x += chunkSize) {
+        ctx.beginPath();
+        ctx.moveTo(x * zoom, 0);
+        ctx.lineTo(x * zoom, overlay.height);
+        ctx.stroke();
+      }
+      for (let y = firstY || chunkSize; y < gridH; y += chunkSize) {
+        ctx.beginPath();
+        ctx.moveTo(0, y * zoom);
+        ctx.lineTo(overlay.width, y * zoom);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+    }
+
+    // Next pixel to place in guided mode
+    if (guideActive && guide.current >= 0) {
+      const gx = guide.current % gridW, gy = Math.floor(guide.current / gridW);
+      ctx.strokeStyle = "#FFB000";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(gx * zoom - 1, gy * zoom - 1, zoom + 2, zoom + 2);
+    }
+
     // Outer border
     if (gridW && gridH) {
       ctx.strokeStyle = "rgba(255,255,255,0.35)";
@@ -206,6 +746,15 @@ export default function App() {
       ctx.strokeRect(0.5, 0.5, overlay.width - 1, overlay.height - 1);
     }
 
+    // Area of the layer being worked on
+    if (layerCount > 1 && grid.w && grid.h) {
+      ctx.strokeStyle = "#B388FF";
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 3]);
+      ctx.strokeRect(layerX * zoom + 0.5, layerY * zoom + 0.5, grid.w * zoom - 1, grid.h * zoom - 1);
+      ctx.setLineDash([]);
+    }
+
     // Hover crosshair + cell outline
     if (hover.x >= 0 && hover.y >= 0) {
       ctx.strokeStyle = "#FF2EC4"; // neon pink crosshair
@@ -222,91 +771,445 @@ export default function App() {
       ctx.strokeStyle = "#00FFF7"; // cyan pixel border
       ctx.strokeRect(hover.x * zoom + 0.5, hover.y * zoom + 0.5, zoom - 1, zoom - 1);
     }
-  }, [hover, gridW, gridH, zoom]);
+  }, [hover, gridW, gridH, zoom, highlightMask, placedMask, guideActive, guide, shapePreview, brushHex, mismatchMask, showGrid, chunkSize, genesisX, genesisY, layerCount, layerX, layerY, grid.w, grid.h, assignMask, showAssignment, assignment, assignDrag, assignDrawTo]);
 
-  // Mouse -> hovered cell
-  const onMouseMove = (e) => {
-    if (isDragging) {
-      const deltaX = e.clientX - dragStart.x;
-      const deltaY = e.clientY - dragStart.y;
-      setDragOffset({ x: dragOffset.x + deltaX, y: dragOffset.y + deltaY });
-      setDragStart({ x: e.clientX, y: e.clientY });
-      return;
-    }
+  // Rulers along the top and left edges, labelled with absolute coordinates
+  useEffect(() => {
+    const top = rulerTopRef.current, left = rulerLeftRef.current;
+    if (!top || !left || !gridW || !gridH) return;
+    const ox = Number(genesisX) || 0, oy = Number(genesisY) || 0;
+    const step = rulerStep(zoom, 48);
+    const minor = zoom >= GRID_MIN_ZOOM ? 1 : step;
+    const draw = (canvas, length, origin, hovered, horizontal) => {
+      canvas.width = horizontal ? length * zoom : RULER_SIZE;
+      canvas.height = horizontal ? RULER_SIZE : length * zoom;
+      const ctx = canvas.getContext("2d");
+      if (!ctx) return;
+      ctx.fillStyle = "#161616";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      if (hovered >= 0) {
+        ctx.fillStyle = "rgba(0,255,247,0.25)";
+        if (horizontal) ctx.fillRect(hovered * zoom, 0, zoom, RULER_SIZE);
+        else ctx.fillRect(0, hovered * zoom, RULER_SIZE, zoom);
+      }
+      ctx.strokeStyle = "#5a5a5a";
+      ctx.fillStyle = "#A8A8A8";
+      ctx.font = "10px monospace";
+      ctx.lineWidth = 1;
+      for (let i = 0; i <= length; i++) {
+        const abs = origin + i;
+        const labelled = abs % step === 0;
+        if (!labelled && (abs % minor !== 0)) continue;
+        const tick = labelled ? 10 : 4;
+        const p = i * zoom + 0.5;
+        ctx.beginPath();
+        if (horizontal) { ctx.moveTo(p, RULER_SIZE); ctx.lineTo(p, RULER_SIZE - tick); }
+        else { ctx.moveTo(RULER_SIZE, p); ctx.lineTo(RULER_SIZE - tick, p); }
+        ctx.stroke();
+        if (!labelled || i === length) continue;
+        if (horizontal) {
+          ctx.fillText(String(abs), p + 2, 11);
+        } else {
+          ctx.save();
+          ctx.translate(11, p + 2);
+          ctx.rotate(Math.PI / 2);
+          ctx.fillText(String(abs), 0, 0);
+          ctx.restore();
+        }
+      }
+    };
+    draw(top, gridW, ox, hover.x, true);
+    draw(left, gridH, oy, hover.y, false);
+  }, [showRulers, gridW, gridH, zoom, genesisX, genesisY, hover]);
 
+  // Pointer -> hovered (or tapped) cell and tooltip position; null outside the grid
+  const inspectAt = (e) => {
     const rect = e.currentTarget.getBoundingClientRect();
     const pxX = e.clientX - rect.left;
     const pxY = e.clientY - rect.top;
     const x = Math.floor(pxX / zoom);
     const y = Math.floor(pxY / zoom);
     setMousePx({ x: pxX, y: pxY });
-    if (x >= 0 && y >= 0 && x < gridW && y < gridH) setHover({ x, y });
-    else setHover({ x: -1, y: -1 });
+    const inside = x >= 0 && y >= 0 && x < gridW && y < gridH;
+    setHover(inside ? { x, y } : { x: -1, y: -1 });
+    return inside ? { x, y } : null;
   };
-  const onMouseLeave = () => { setHover({ x: -1, y: -1 }); setMousePx({ x: 0, y: 0 }); };
 
-  // Drag handlers
-  const onMouseDown = (e) => {
-    setIsDragging(true);
-    setDragStart({ x: e.clientX, y: e.clientY });
+  // Pointers on the stage. A mouse hovers to inspect and drags to edit, or to pan with the
+  // Pan tool, Space or a non-primary button. Touch and pen have no hover: one finger pans
+  // with the Pan tool (a tap inspects the cell) or edits with the others; two fingers pinch-zoom.
+  const pointersRef = useRef(new Map()); // pointerId -> { x, y } of pointers down on the stage
+  const gestureRef = useRef(null); // { tap: { x, y } } while a touch may still be a tap, or { pinch: { dist, zoom, u, v } }
+  const onPointerDown = (e) => {
+    const pointers = pointersRef.current;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    e.currentTarget.setPointerCapture?.(e.pointerId);
     e.preventDefault();
+    if (pointers.size === 2) {
+      // A second finger turns whatever the first one started into a pinch
+      cancelEdit();
+      setIsDragging(false);
+      setHover({ x: -1, y: -1 });
+      const [a, b] = [...pointers.values()];
+      const rect = e.currentTarget.getBoundingClientRect();
+      gestureRef.current = { pinch: {
+        dist: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+        zoom,
+        u: ((a.x + b.x) / 2 - rect.left) / zoom,
+        v: ((a.y + b.y) / 2 - rect.top) / zoom,
+      } };
+      return;
+    }
+    if (pointers.size > 2) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / zoom);
+    const y = Math.floor((e.clientY - rect.top) / zoom);
+    const inside = x >= 0 && y >= 0 && x < gridW && y < gridH;
+    if ((tool === "pan" && !assignDrawTo) || spaceHeld || e.button !== 0 || !inside) {
+      setIsDragging(true);
+      setDragStart({ x: e.clientX, y: e.clientY });
+      gestureRef.current = e.pointerType === "mouse" ? null : { tap: { x: e.clientX, y: e.clientY } };
+      return;
+    }
+    startEdit({ x, y });
+  };
+
+  const onPointerMove = (e) => {
+    const pointers = pointersRef.current;
+    if (pointers.has(e.pointerId)) pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const gesture = gestureRef.current;
+    if (gesture?.pinch) {
+      // The cells under the fingers when the pinch began stay under their midpoint
+      if (pointers.size < 2) return;
+      const [a, b] = [...pointers.values()];
+      const next = clampZoom((gesture.pinch.zoom * Math.hypot(a.x - b.x, a.y - b.y)) / gesture.pinch.dist);
+      zoomAt(next, (a.x + b.x) / 2, (a.y + b.y) / 2, gesture.pinch);
+      return;
+    }
+    if (isDragging) {
+      if (gesture?.tap && Math.hypot(e.clientX - gesture.tap.x, e.clientY - gesture.tap.y) > TAP_SLOP) gestureRef.current = null;
+      const deltaX = e.clientX - dragStart.x;
+      const deltaY = e.clientY - dragStart.y;
+      setDragOffset({ x: dragOffset.x + deltaX, y: dragOffset.y + deltaY });
+      setDragStart({ x: e.clientX, y: e.clientY });
+      return;
+    }
+    if (e.pointerType !== "mouse" && !strokeRef.current) return;
+    const cell = inspectAt(e);
+    if (cell && strokeRef.current) continueEdit(cell);
   };
 
-  const onMouseUp = () => {
+  const onPointerUp = (e) => {
+    const pointers = pointersRef.current;
+    pointers.delete(e.pointerId);
+    const gesture = gestureRef.current;
+    // After a pinch nothing happens until every finger is up
+    if (gesture?.pinch) {
+      if (!pointers.size) gestureRef.current = null;
+      return;
+    }
+    gestureRef.current = null;
     setIsDragging(false);
+    finishEdit();
+    if (gesture?.tap && e.type === "pointerup") inspectAt(e);
+  };
+  // Touch pointers leave when lifted; a tapped cell's tooltip stays until the next touch
+  const onPointerLeave = (e) => {
+    if (e.pointerType === "mouse") { setHover({ x: -1, y: -1 }); setMousePx({ x: 0, y: 0 }); }
   };
 
+  // ----- Manual edits -----
+  // Edits go to the active layer; cells are in plan coordinates and outside the layer are skipped.
+  // A hidden or locked layer can't be edited.
+  const canEditLayer = !activeLayer || (activeLayer.visible && !activeLayer.locked);
+  const layerIndexAt = (x, y) => {
+    const lx = x - layerX, ly = y - layerY;
+    return lx >= 0 && ly >= 0 && lx < grid.w && ly < grid.h ? ly * grid.w + lx : -1;
+  };
+  const paintCells = (working, cells, value) => cells.forEach(([x, y]) => {
+    const j = layerIndexAt(x, y);
+    if (j >= 0) working[j] = value;
+  });
+  const layerState = (layer) => ({ w: grid.w, h: grid.h, palette: grid.colors.map(c => c.hex), layer });
+  const commitLayer = (before, after) => {
+    const diff = diffLayers(before, after);
+    setEdits(layerState(after));
+    if (!diff.idx.length) return;
+    setEditHistory(h => ({ undo: [...h.undo, diff].slice(-MAX_UNDO), redo: [] }));
+  };
+  const startEdit = (cell) => {
+    if (assignDrawTo) {
+      strokeRef.current = { tool: "assign", start: cell, last: cell };
+      setAssignDrag({ x0: cell.x, y0: cell.y, x1: cell.x, y1: cell.y });
+      return;
+    }
+    const i = cell.y * gridW + cell.x;
+    if (tool === "picker") {
+      const hex = cellHex(i);
+      if (hex) { setBrushHex(hex); setTool("pencil"); }
+      return;
+    }
+    const value = tool === "eraser" ? EMPTY : grid.colors.findIndex(c => c.hex === brushHex);
+    if (value < 0) return; // brush colour is not in the current palette
+    const li = layerIndexAt(cell.x, cell.y);
+    if (!canEditLayer || li < 0) return;
+    const before = editLayer || emptyLayer(grid.w * grid.h);
+    if (tool === "fill") {
+      const after = new Int16Array(before);
+      floodRegion(layerPlan.cells, grid.w, grid.h, li).forEach(j => { after[j] = value; });
+      commitLayer(before, after);
+      return;
+    }
+    const stroke = { tool, value, start: cell, last: cell, before, working: new Int16Array(before) };
+    strokeRef.current = stroke;
+    if (tool === "pencil" || tool === "eraser") {
+      stroke.working[li] = value;
+      setEdits(layerState(new Int16Array(stroke.working)));
+    } else {
+      setShapePreview([[cell.x, cell.y]]);
+    }
+  };
+  const continueEdit = (cell) => {
+    const stroke = strokeRef.current;
+    if (stroke.tool === "assign") {
+      setAssignDrag({ x0: stroke.start.x, y0: stroke.start.y, x1: cell.x, y1: cell.y });
+    } else if (stroke.tool === "pencil" || stroke.tool === "eraser") {
+      paintCells(stroke.working, lineCells(stroke.last.x, stroke.last.y, cell.x, cell.y), stroke.value);
+      setEdits(layerState(new Int16Array(stroke.working)));
+    } else {
+      const shape = stroke.tool === "line" ? lineCells : rectCells;
+      setShapePreview(shape(stroke.start.x, stroke.start.y, cell.x, cell.y));
+    }
+    stroke.last = cell;
+  };
+  const finishEdit = () => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    strokeRef.current = null;
+    if (stroke.tool === "assign") {
+      const { start, last } = stroke;
+      const rect = { member: assignDrawTo, x: Math.min(start.x, last.x), y: Math.min(start.y, last.y), w: Math.abs(last.x - start.x) + 1, h: Math.abs(last.y - start.y) + 1 };
+      setAssignment(a => ({ ...a, rects: [...a.rects, rect] }));
+      setAssignDrag(null);
+      return;
+    }
+    if (stroke.tool === "line" || stroke.tool === "rect") {
+      const shape = stroke.tool === "line" ? lineCells : rectCells;
+      paintCells(stroke.working, shape(stroke.start.x, stroke.start.y, stroke.last.x, stroke.last.y), stroke.value);
+      setShapePreview(null);
+    }
+    commitLayer(stroke.before, stroke.working);
+  };
+  const finishEditRef = useRef(finishEdit);
+  finishEditRef.current = finishEdit;
+  // Drop a stroke in progress (a second finger came down)
+  const cancelEdit = () => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    strokeRef.current = null;
+    setShapePreview(null);
+    setAssignDrag(null);
+    if (stroke.tool !== "assign") setEdits(layerState(stroke.before));
+  };
+
+  const undoEdit = useCallback(() => {
+    if (!editHistory.undo.length || !edits) return;
+    const diff = editHistory.undo[editHistory.undo.length - 1];
+    setEdits({ ...edits, layer: applyDiff(edits.layer, diff, true) });
+    setEditHistory({ undo: editHistory.undo.slice(0, -1), redo: [...editHistory.redo, diff] });
+  }, [editHistory, edits]);
+  const redoEdit = useCallback(() => {
+    if (!editHistory.redo.length || !edits) return;
+    const diff = editHistory.redo[editHistory.redo.length - 1];
+    setEdits({ ...edits, layer: applyDiff(edits.layer, diff, false) });
+    setEditHistory({ undo: [...editHistory.undo, diff], redo: editHistory.redo.slice(0, -1) });
+  }, [editHistory, edits]);
+  const clearEdits = () => {
+    if (!editLayer) return;
+    commitLayer(editLayer, emptyLayer(grid.w * grid.h));
+  };
+
+  // Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) undo/redo, Space held to pan, letter keys pick tools
+  useEffect(() => {
+    const isTyping = (t) => t && (t.tagName === "INPUT" || t.tagName === "TEXTAREA" || t.tagName === "SELECT" || t.isContentEditable);
+    const onKeyDown = (e) => {
+      if (isTyping(e.target)) return;
+      const mod = e.ctrlKey || e.metaKey;
+      const key = e.key.toLowerCase();
+      if (mod && key === "z") { e.preventDefault(); if (e.shiftKey) redoEdit(); else undoEdit(); return; }
+      if (mod && key === "y") { e.preventDefault(); redoEdit(); return; }
+      if (e.key === " ") {
+        if (e.target === document.body) e.preventDefault(); // don't scroll the page
+        setSpaceHeld(true);
+        return;
+      }
+      if (!mod && !e.altKey && (img || gridFromCode)) {
+        const t = EDIT_TOOLS.find(t => t.key.toLowerCase() === key);
+        if (t) setTool(t.id);
+      }
+    };
+    const onKeyUp = (e) => { if (e.key === " ") setSpaceHeld(false); };
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+    };
+  }, [undoEdit, redoEdit, img, gridFromCode]);
+
   const onMouseUpGlobal = () => {
     setIsDragging(false);
   };
 
-  // Zoom handlers
-  const zoomIn = () => setZoom(prev => Math.min(64, prev + 1));
-  const zoomOut = () => setZoom(prev => Math.max(1, prev - 1));
+  // Zoom so the stage point under (clientX, clientY) stays put. `at` is that point in
+  // cells; by default it is measured now, a pinch passes the cells it started on.
+  const zoomAt = (next, clientX, clientY, at = null) => {
+    const rect = stageRef.current?.getBoundingClientRect();
+    if (rect) {
+      const { u, v } = at || { u: (clientX - rect.left) / zoom, v: (clientY - rect.top) / zoom };
+      setZoomAnchor({ clientX, clientY, u, v });
+    }
+    setZoom(next);
+  };
+  // Once the stage has its new size, pan it so the anchored point is back under the pointer
+  useLayoutEffect(() => {
+    if (!zoomAnchor || !stageRef.current) return;
+    const rect = stageRef.current.getBoundingClientRect();
+    const dx = zoomAnchor.clientX - (rect.left + zoomAnchor.u * zoom);
+    const dy = zoomAnchor.clientY - (rect.top + zoomAnchor.v * zoom);
+    if (dx || dy) setDragOffset(o => ({ x: o.x + dx, y: o.y + dy }));
+    setZoomAnchor(null);
+  }, [zoomAnchor, zoom]);
+
+  // The buttons step through whole zoom levels around the middle of the view
+  const zoomAroundCentre = (next) => {
+    const box = stageBoxRef.current?.getBoundingClientRect();
+    if (box) zoomAt(next, box.left + box.width / 2, box.top + box.height / 2);
+    else setZoom(next);
+  };
+  const zoomIn = () => zoomAroundCentre(clampZoom(Math.floor(zoom) + 1));
+  const zoomOut = () => zoomAroundCentre(clampZoom(Math.ceil(zoom) - 1));
+
+  // Wheel zoom around the cursor. Attached directly: React's wheel listener is passive,
+  // so it couldn't keep the page from scrolling.
+  const onWheelRef = useRef(null);
+  onWheelRef.current = (e) => {
+    e.preventDefault();
+    const speed = e.deltaMode === 1 ? 0.05 : 0.002; // lines or pixels
+    zoomAt(clampZoom(zoom * Math.exp(-e.deltaY * speed)), e.clientX, e.clientY);
+  };
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return;
+    const onWheel = (e) => onWheelRef.current(e);
+    stage.addEventListener("wheel", onWheel, { passive: false });
+    return () => stage.removeEventListener("wheel", onWheel);
+  }, [img, gridFromCode]);
 
   // Share/Import handlers
-  const exportSettings = useCallback(() => {
-    const payload = {
-      v: 1,
-      pixelsAcross,
-      genesisX,
-      genesisY,
-      zoom
-    };
+  // `remap` is left out when the shared grid already has the rules applied; `view` stands in for the zoom
+  const buildShareCode = useCallback((gridToShare, remap = remapRules, view = zoom) => encodeShareCode({
+    pixelsAcross,
+    genesisX: Number(genesisX) || 0,
+    genesisY: Number(genesisY) || 0,
+    zoom: view,
+    // The grid's palette snapshot is what its indices refer to
+    palette: gridToShare ? { ...activePalette, colors: gridToShare.colors } : activePalette,
+    enabled: paletteEnabled,
+    options: { resampleMode, ditherMode, ditherStrength, alphaThreshold, colorMetric, transform, pixelsDown, lockAspect, fitMode, adjustments, remap }
+  }, gridToShare), [remapRules, adjustments, pixelsDown, lockAspect, fitMode, pixelsAcross, genesisX, genesisY, zoom, activePalette, paletteEnabled, resampleMode, ditherMode, ditherStrength, alphaThreshold, colorMetric, transform]);
+
+  const shareText = (text) => {
+    setShareCode(text);
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(text).catch(() => {});
+    }
+  };
+  const exportSettings = () => {
     try {
-      const json = JSON.stringify(payload);
-      const code = btoa(unescape(encodeURIComponent(json)));
-      setShareCode(code);
-      if (navigator.clipboard?.writeText) {
-        navigator.clipboard.writeText(code).catch(() => {});
-      }
+      shareText(shareIncludesGrid && gridW > 0 ? buildShareCode(plan, []) : buildShareCode(null));
     } catch (e) {
       // no-op
     }
-  }, [pixelsAcross, genesisX, genesisY, zoom]);
+  };
+  const copyLink = () => {
+    try {
+      shareText(planLink(shareIncludesGrid && gridW > 0 ? buildShareCode(plan, []) : buildShareCode(null)));
+    } catch (e) {
+      // no-op
+    }
+  };
 
-  const applySettings = useCallback(() => {
-    const code = (shareCode || "").trim();
-    if (!code) return;
+  const applySettings = () => applyCode(shareCode);
+  // Apply a share code or #plan= link; returns false if it was rejected
+  // Reuse a palette with the same colours (preferring the same id), otherwise add it as a custom palette
+  const adoptPalette = (pal, enabled) => {
+    const hexKey = pal.colors.map(c => c.hex).join();
+    const sameColours = (p) => p.colors.map(c => c.hex).join() === hexKey;
+    const existing = palettes.find(p => p.id === pal.id && sameColours(p)) || palettes.find(sameColours);
+    if (existing) {
+      setActivePaletteId(existing.id);
+      if (enabled) setEnabledByPalette(prev => ({ ...prev, [existing.id]: enabled }));
+    } else {
+      addPalette({ name: pal.name, colors: pal.colors }, enabled);
+    }
+  };
+
+  const applyCodeRef = useRef(null); // applyCode for the deep-link effect, see below
+  const applyCode = (text) => {
+    let data;
     try {
-      const json = decodeURIComponent(escape(atob(code)));
-      const data = JSON.parse(json);
-      if (!data || typeof data !== "object") throw new Error("bad");
-      if (data.v !== 1) throw new Error("version");
-      if (typeof data.pixelsAcross === "number") setPixelsAcross(clamp(Math.round(data.pixelsAcross), 5, 400));
-      if (typeof data.genesisX === "number") setGenesisX(Math.round(data.genesisX));
-      if (typeof data.genesisY === "number") setGenesisY(Math.round(data.genesisY));
-      if (typeof data.zoom === "number") setZoom(clamp(Math.round(data.zoom), 1, 64));
+      const code = codeFromLink(text || "");
+      if (!code) return false;
+      data = decodeShareCode(code);
     } catch (e) {
-      alert("Invalid or unsupported code");
+      alert(`Could not apply the code: ${e.message}`);
+      return false;
     }
-  }, [shareCode]);
+    const nextPixels = typeof data.pixelsAcross === "number" ? clamp(Math.round(data.pixelsAcross), 1, MAX_GRID_CELLS) : pixelsAcross;
+    if (data.grid ? !confirmDiscardEdits() : nextPixels !== pixelsAcross && !confirmDiscardEdits()) return false;
+    if (data.palette && !data.grid && !confirmPaletteChange(data.palette.colors.map(c => c.hex))) return false;
+
+    setPixelsAcross(nextPixels);
+    if (typeof data.genesisX === "number") setGenesisX(Math.round(data.genesisX));
+    if (typeof data.genesisY === "number") setGenesisY(Math.round(data.genesisY));
+    if (typeof data.zoom === "number") setZoom(clampZoom(data.zoom));
+    if (data.v < 2) return true;
+
+    adoptPalette(data.palette, data.enabled);
+
+    const { options } = data;
+    if (RESAMPLE_MODES.some(m => m.id === options.resampleMode)) setResampleMode(options.resampleMode);
+    if (DITHER_MODES.some(m => m.id === options.ditherMode)) setDitherMode(options.ditherMode);
+    if (COLOR_METRICS.some(m => m.id === options.colorMetric)) setColorMetric(options.colorMetric);
+    if (typeof options.ditherStrength === "number") setDitherStrength(clamp(Math.round(options.ditherStrength), 0, 100));
+    if (typeof options.alphaThreshold === "number") setAlphaThreshold(clamp(Math.round(options.alphaThreshold), 0, 100));
+    if (options.transform) setTransform(normalizeTransform(options.transform));
+    if (typeof options.pixelsDown === "number") setPixelsDown(clamp(Math.round(options.pixelsDown), 1, MAX_GRID_CELLS));
+    if (typeof options.lockAspect === "boolean") setLockAspect(options.lockAspect);
+    if (FIT_MODES.some(m => m.id === options.fitMode)) setFitMode(options.fitMode);
+    if (options.adjustments) setAdjustments(normalizeAdjustments(options.adjustments));
+    // A shared grid brings its own rules (or none)
+    if (options.remap || data.grid) setRemapRules(normalizeRules(options.remap));
+
+    if (data.grid) {
+      discardEdits();
+      setLayers([]);
+      setActiveLayerId(null);
+      setGrid({ ...data.grid, colors: data.palette.colors });
+      setGridFromCode(true);
+      // Guided progress for a shared grid is keyed by its contents
+      if (!img) setImageInfo({ name: data.palette.name, key: `share:${crc32(data.grid.cells)}` });
+    }
+    return true;
+  };
+  applyCodeRef.current = applyCode;
 
   // Ensure dragging stops even if mouseup occurs outside the stage
   useEffect(() => {
-    const handleUp = () => setIsDragging(false);
-    window.addEventListener('mouseup', handleUp);
-    return () => window.removeEventListener('mouseup', handleUp);
+    const handleUp = () => { setIsDragging(false); finishEditRef.current(); };
+    window.addEventListener('pointerup', handleUp);
+    return () => window.removeEventListener('pointerup', handleUp);
   }, []);
 
   // Close intro with Escape key
@@ -316,45 +1219,457 @@ export default function App() {
     return () => window.removeEventListener('keydown', onKey);
   }, []);
 
+  // Settings saved to localStorage and with each project, validated field by field
+  const restoreSettings = (saved) => {
+    if (!saved || typeof saved !== 'object') return;
+    if (typeof saved.pixelsAcross === 'number') setPixelsAcross(clamp(Math.round(saved.pixelsAcross), 1, MAX_GRID_CELLS));
+    if (typeof saved.pixelsDown === 'number') setPixelsDown(clamp(Math.round(saved.pixelsDown), 1, MAX_GRID_CELLS));
+    if (typeof saved.lockAspect === 'boolean') setLockAspect(saved.lockAspect);
+    if (FIT_MODES.some(m => m.id === saved.fitMode)) setFitMode(saved.fitMode);
+    if (saved.adjustments) setAdjustments(normalizeAdjustments(saved.adjustments));
+    if (typeof saved.showGrid === 'boolean') setShowGrid(saved.showGrid);
+    if (typeof saved.showRulers === 'boolean') setShowRulers(saved.showRulers);
+    if (typeof saved.chunkSize === 'number') setChunkSize(Math.max(0, Math.round(saved.chunkSize)));
+    if (typeof saved.genesisX === 'number') setGenesisX(Math.round(saved.genesisX));
+    if (typeof saved.genesisY === 'number') setGenesisY(Math.round(saved.genesisY));
+    if (typeof saved.zoom === 'number') setZoom(clampZoom(saved.zoom));
+    if (saved.paletteEnabledById && typeof saved.paletteEnabledById === 'object') {
+      const byId = {};
+      Object.entries(saved.paletteEnabledById).forEach(([id, flags]) => { if (Array.isArray(flags)) byId[id] = flags.map(Boolean); });
+      setEnabledByPalette(byId);
+    } else if (Array.isArray(saved.paletteEnabled)) {
+      // Settings from before palettes were selectable belong to the default palette
+      setEnabledByPalette({ [DEFAULT_PALETTE_ID]: saved.paletteEnabled.map(Boolean) });
+    }
+    if (typeof saved.activePaletteId === 'string') setActivePaletteId(saved.activePaletteId);
+    if (typeof saved.lockPalette === 'boolean') setLockPalette(saved.lockPalette);
+    if (RESAMPLE_MODES.some(m => m.id === saved.resampleMode)) setResampleMode(saved.resampleMode);
+    if (DITHER_MODES.some(m => m.id === saved.ditherMode)) setDitherMode(saved.ditherMode);
+    if (COLOR_METRICS.some(m => m.id === saved.colorMetric)) setColorMetric(saved.colorMetric);
+    if (typeof saved.ditherStrength === 'number') setDitherStrength(clamp(Math.round(saved.ditherStrength), 0, 100));
+    if (PLACEMENT_ORDERS.some(o => o.id === saved.guideOrder)) setGuideOrder(saved.guideOrder);
+    if (typeof saved.alphaThreshold === 'number') setAlphaThreshold(clamp(Math.round(saved.alphaThreshold), 0, 100));
+    if (saved.transform) setTransform(normalizeTransform(saved.transform));
+    if (Array.isArray(saved.remapRules)) setRemapRules(normalizeRules(saved.remapRules));
+    if (saved.assignment) setAssignment(normalizeAssignment(saved.assignment));
+    if (COORD_SYSTEMS.some(c => c.id === saved.coordSystem)) setCoordSystem(saved.coordSystem);
+  };
+
   // Persist settings (including palette) to localStorage
   useEffect(() => {
     try {
-      const saved = JSON.parse(localStorage.getItem('w2p_settings') || 'null');
-      if (saved && typeof saved === 'object') {
-        if (typeof saved.pixelsAcross === 'number') setPixelsAcross(clamp(Math.round(saved.pixelsAcross), 5, 400));
-        if (typeof saved.genesisX === 'number') setGenesisX(Math.round(saved.genesisX));
-        if (typeof saved.genesisY === 'number') setGenesisY(Math.round(saved.genesisY));
-        if (typeof saved.zoom === 'number') setZoom(clamp(Math.round(saved.zoom), 1, 64));
-        if (Array.isArray(saved.paletteEnabled) && saved.paletteEnabled.length === PALETTE.length) setPaletteEnabled(saved.paletteEnabled.map(Boolean));
-        if (typeof saved.lockPalette === 'boolean') setLockPalette(saved.lockPalette);
+      restoreSettings(JSON.parse(localStorage.getItem('w2p_settings') || 'null'));
+    } catch {}
+    try {
+      const savedPalettes = JSON.parse(localStorage.getItem('w2p_palettes') || 'null');
+      if (Array.isArray(savedPalettes)) {
+        setCustomPalettes(savedPalettes.filter(p =>
+          p && typeof p.id === 'string' && typeof p.name === 'string' && Array.isArray(p.colors) && p.colors.length
+        ));
       }
     } catch {}
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  const settingsSnapshot = useMemo(() => ({
+    pixelsAcross,
+    genesisX,
+    genesisY,
+    zoom,
+    activePaletteId,
+    paletteEnabledById: enabledByPalette,
+    lockPalette,
+    resampleMode,
+    ditherMode,
+    ditherStrength,
+    alphaThreshold,
+    colorMetric,
+    guideOrder,
+    transform,
+    pixelsDown,
+    lockAspect,
+    fitMode,
+    adjustments,
+    showGrid,
+    showRulers,
+    chunkSize,
+    remapRules,
+    assignment,
+    coordSystem,
+  }), [pixelsAcross, genesisX, genesisY, zoom, activePaletteId, enabledByPalette, lockPalette, resampleMode, ditherMode, ditherStrength, alphaThreshold, colorMetric, guideOrder, transform, pixelsDown, lockAspect, fitMode, adjustments, showGrid, showRulers, chunkSize, remapRules, assignment, coordSystem]);
   useEffect(() => {
-    try {
-      const toSave = {
-        pixelsAcross,
-        genesisX,
-        genesisY,
-        zoom,
-        paletteEnabled,
-        lockPalette,
+    try { localStorage.setItem('w2p_settings', JSON.stringify(settingsSnapshot)); } catch {}
+  }, [settingsSnapshot]);
+
+  useEffect(() => {
+    try { localStorage.setItem('w2p_palettes', JSON.stringify(customPalettes)); } catch {}
+  }, [customPalettes]);
+
+  // Project library. The open project is saved a second after each change and
+  // straight away before another image or project replaces it.
+  const refreshProjects = useCallback(() => {
+    listProjects().then(setProjects, () => {});
+  }, []);
+  const saveProjectNow = () => {
+    // A grid from a share code isn't this project's plan, so it isn't saved over it
+    if (!projectId || !imageBlob || gridFromCode) return Promise.resolve();
+    const canvas = gridW ? renderPlanCanvas(plan.cells, plan.colors, gridW, gridH) : null;
+    return saveProject({
+      id: projectId,
+      thumbnail: makeThumbnail(canvas) ?? undefined,
+      image: imageBlob,
+      imageName: imageInfo?.name,
+      imageKey: imageInfo?.key,
+      settings: settingsSnapshot,
+      palette: { id: activePalette.id, name: activePalette.name, colors: activePalette.colors },
+      edits,
+      // Every layer, the active one included, with its own image, settings, edits and plan
+      layers: layers.length ? layers.map(l => {
+        const data = l.id === activeLayerId ? currentLayerData() : l;
+        return {
+          id: l.id, name: l.name, visible: l.visible, locked: l.locked, x: l.x, y: l.y,
+          image: data.imageBlob, imageName: data.imageInfo?.name, imageKey: data.imageInfo?.key,
+          settings: data.settings, edits: data.edits, plan: data.plan,
+        };
+      }) : null,
+      activeLayerId,
+    }).then(() => { setProjectSaveError(null); refreshProjects(); }, e => setProjectSaveError(e?.message || "unknown error"));
+  };
+  saveProjectNowRef.current = saveProjectNow;
+  useEffect(() => {
+    if (!projectId || !imageBlob || gridFromCode) return;
+    const timer = setTimeout(() => saveProjectNowRef.current(), 1000);
+    return () => clearTimeout(timer);
+  }, [projectId, imageBlob, gridFromCode, settingsSnapshot, activePalette, edits, grid, layers]);
+  useEffect(() => {
+    setProjectSaveError(null);
+    try { if (projectId) localStorage.setItem('w2p_last_project', projectId); } catch {}
+  }, [projectId]);
+
+  // Swap a loaded project in: settings, palette and edits go in with its decoded image.
+  // The grid is cleared so the edits wait for the project's own quantized grid.
+  const applyProject = (project, image) => {
+    saveProjectNow();
+    discardEdits();
+    // Rules and assignments missing from older settings mean none, not the ones in use
+    restoreSettings({ remapRules: [], assignment: DEFAULT_ASSIGNMENT, ...project.settings });
+    if (project.palette) adoptPalette(project.palette, project.settings.paletteEnabledById?.[project.settings.activePaletteId]);
+    setEdits(project.edits);
+    setGrid({ w: 0, h: 0, cells: new Uint8Array(0), colors: [] });
+    setImg(image);
+    setImageBlob(project.image);
+    setGridFromCode(false);
+    setImageInfo({ name: project.imageName, key: project.imageKey || `project:${project.id}` });
+    setLayers((project.layers || []).map(l => ({
+      id: l.id, name: l.name, visible: l.visible, locked: l.locked, x: l.x, y: l.y,
+      imageBlob: l.image, imageInfo: { name: l.imageName, key: l.imageKey || `layer:${l.id}` },
+      settings: l.settings, edits: l.edits, plan: l.plan,
+    })));
+    setActiveLayerId(project.layers ? project.activeLayerId : null);
+    setProjectId(project.id);
+  };
+  const applyProjectRef = useRef(applyProject);
+  applyProjectRef.current = applyProject;
+  const showProject = useCallback((project) => {
+    const url = URL.createObjectURL(project.image);
+    const image = new Image();
+    image.onload = () => applyProjectRef.current(project, image);
+    image.onerror = () => { URL.revokeObjectURL(url); alert(`The image of "${project.name}" could not be read`); };
+    image.src = url;
+  }, []);
+  const openProject = (id) => {
+    if (id === projectId) return;
+    loadProject(id).then(project => {
+      if (project) showProject(project);
+      else { alert("That project no longer exists"); refreshProjects(); }
+    }, e => alert(`Could not open the project: ${e.message}`));
+  };
+
+  // The last project reopens on load, unless a shared plan link is being opened
+  useEffect(() => {
+    refreshProjects();
+    if (/^#plan=/.test(window.location.hash)) return;
+    let lastId = null;
+    try { lastId = localStorage.getItem('w2p_last_project'); } catch {}
+    if (!lastId) return;
+    loadProject(lastId).then(project => {
+      if (!project) return;
+      setShowIntro(false);
+      showProject(project);
+    }, () => {});
+  }, [refreshProjects, showProject]);
+
+  const saveAsProject = () => {
+    if (!img || !imageBlob || gridFromCode) return;
+    setProjectId(newProjectId());
+  };
+  const renameProjectPrompt = (p) => {
+    const name = window.prompt("Rename project", p.name);
+    if (!name || !name.trim()) return;
+    renameProject(p.id, name.trim()).then(refreshProjects, e => alert(`Could not rename the project: ${e.message}`));
+  };
+  const copyProject = (p) => {
+    (p.id === projectId ? saveProjectNow() : Promise.resolve())
+      .then(() => duplicateProject(p.id))
+      .then(refreshProjects, e => alert(`Could not duplicate the project: ${e.message}`));
+  };
+  const removeProject = (p) => {
+    if (!window.confirm(`Delete project "${p.name}"? Its image, settings and edits are removed from this browser.`)) return;
+    deleteProject(p.id).then(() => {
+      if (p.id === projectId) {
+        setProjectId(null);
+        try { localStorage.removeItem('w2p_last_project'); } catch {}
+      }
+      refreshProjects();
+    }, e => alert(`Could not delete the project: ${e.message}`));
+  };
+  const exportProject = (p) => {
+    (p.id === projectId ? saveProjectNow() : Promise.resolve())
+      .then(() => loadProject(p.id))
+      .then(project => {
+        if (!project) throw new Error("it no longer exists");
+        return projectToFile(project);
+      })
+      .then(text => downloadText(`${p.name.replace(/[^\w-]+/g, "_") || "project"}.w2p.json`, text, "application/json"))
+      .catch(e => alert(`Could not export the project: ${e.message}`));
+  };
+  const importProjectFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let project;
+      try {
+        project = { ...projectFromFile(String(reader.result)), id: newProjectId() };
+      } catch (e) {
+        alert(`Could not import project: ${e.message}`);
+        return;
+      }
+      saveProject(project).then(() => {
+        refreshProjects();
+        showProject(project);
+      }, e => alert(`Could not import project: ${e.message}`));
+    };
+    reader.readAsText(file);
+  };
+
+  // ----- Layers -----
+  // The active layer's image, settings, edits and grid live in the app's state while it is
+  // worked on. Switching stores them in its record and loads the next layer's in their place.
+  const currentLayerData = () => ({
+    img,
+    imageBlob,
+    imageInfo,
+    settings: { ...pickLayerSettings(settingsSnapshot), enabled: paletteEnabled },
+    edits,
+    plan: grid.w ? { w: layerPlan.w, h: layerPlan.h, cells: layerPlan.cells, colors: layerPlan.colors } : activeLayer?.plan || null,
+  });
+  // The grid is cleared so the layer's edits wait for its own quantized grid (as with projects)
+  const loadLayer = (layer, image) => {
+    discardEdits();
+    setOptimisePreview(null);
+    // The assignment covers the whole plan, so it stays
+    restoreSettings({ remapRules: [], ...layer.settings });
+    const { activePaletteId: paletteId, enabled } = layer.settings;
+    if (paletteId && Array.isArray(enabled)) setEnabledByPalette(prev => ({ ...prev, [paletteId]: enabled.map(Boolean) }));
+    setEdits(layer.edits);
+    setGrid({ w: 0, h: 0, cells: new Uint8Array(0), colors: [] });
+    setImg(image);
+    setImageBlob(layer.imageBlob);
+    setImageInfo(layer.imageInfo);
+    setActiveLayerId(layer.id);
+  };
+  // Layers from a saved project only have their image file until they are first opened
+  const withLayerImage = (layer, fn) => {
+    if (layer.img) { fn(layer.img); return; }
+    const url = URL.createObjectURL(layer.imageBlob);
+    const image = new Image();
+    image.onload = () => fn(image);
+    image.onerror = () => { URL.revokeObjectURL(url); alert(`The image of layer "${layer.name}" could not be read`); };
+    image.src = url;
+  };
+  const selectLayer = (id) => {
+    const target = layers.find(l => l.id === id);
+    if (!target || id === activeLayerId || strokeRef.current) return;
+    withLayerImage(target, image => {
+      const stored = currentLayerData();
+      setLayers(prev => prev.map(l => (l.id === activeLayerId ? { ...l, ...stored } : l.id === id ? { ...l, img: image } : l)));
+      loadLayer(target, image);
+    });
+  };
+  // A new layer goes on top with the current settings; the first one also turns the image into a layer
+  const addLayerFromFile = (file) => {
+    if (!img || gridFromCode) return;
+    if (layers.length >= MAX_LAYERS) { alert(`A plan can have at most ${MAX_LAYERS} layers`); return; }
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      const stored = currentLayerData();
+      const layerName = (name) => (name || "Layer").replace(/\.[^.]+$/, "");
+      const layer = {
+        id: newLayerId(), name: layerName(file.name), visible: true, locked: false, x: 0, y: 0,
+        img: image, imageBlob: file, imageInfo: { name: file.name, key: `${file.name}:${file.size}:${file.lastModified}` },
+        settings: { ...stored.settings, remapRules: [] }, edits: null, plan: null,
       };
-      localStorage.setItem('w2p_settings', JSON.stringify(toSave));
-    } catch {}
-  }, [pixelsAcross, genesisX, genesisY, zoom, paletteEnabled, lockPalette]);
+      setLayers(prev => [
+        ...(prev.length
+          ? prev.map(l => (l.id === activeLayerId ? { ...l, ...stored } : l))
+          : [{ id: newLayerId(), name: layerName(imageInfo?.name), visible: true, locked: false, x: 0, y: 0, ...stored }]),
+        layer,
+      ]);
+      loadLayer(layer, image);
+    };
+    image.onerror = () => { URL.revokeObjectURL(url); alert("That file could not be read as an image"); };
+    image.src = url;
+  };
+  const updateLayer = (id, changes) => setLayers(prev => prev.map(l => (l.id === id ? { ...l, ...changes } : l)));
+  // Locked layers can't be moved, edited or removed. The flattened plan keeps to the grid cell budget.
+  const moveLayerOffset = (id, axis, value) => {
+    const layer = layers.find(l => l.id === id);
+    if (!layer || layer.locked) return;
+    const moved = layers.map(l => (l.id === id ? { ...l, [axis]: Math.max(0, Math.round(Number(value) || 0)) } : l));
+    const { w, h } = layersExtent(layerBoxes(moved.map(l => (l.id === activeLayerId && grid.w ? { ...l, plan: grid } : l))));
+    if (w * h > MAX_GRID_CELLS) {
+      alert(`The layers would cover more than ${MAX_GRID_CELLS.toLocaleString()} pixels in total`);
+      return;
+    }
+    setLayers(moved);
+  };
+  const reorderLayer = (id, dir) => setLayers(prev => {
+    const k = prev.findIndex(l => l.id === id), j = k + dir;
+    if (k < 0 || j < 0 || j >= prev.length) return prev;
+    const next = [...prev];
+    [next[k], next[j]] = [next[j], next[k]];
+    return next;
+  });
+  const renameLayerPrompt = (layer) => {
+    const name = window.prompt("Rename layer", layer.name);
+    if (name && name.trim()) updateLayer(layer.id, { name: name.trim() });
+  };
+  const removeLayer = (id) => {
+    const layer = layers.find(l => l.id === id);
+    if (!layer || layer.locked || layers.length < 2) return;
+    if (!window.confirm(`Remove layer "${layer.name}"? Its image and edits are taken out of the plan.`)) return;
+    if (id !== activeLayerId) { setLayers(prev => prev.filter(l => l.id !== id)); return; }
+    // The layer below (or above) takes over
+    const k = layers.indexOf(layer);
+    const next = layers[k > 0 ? k - 1 : k + 1];
+    withLayerImage(next, image => {
+      setLayers(prev => prev.filter(l => l.id !== id).map(l => (l.id === next.id ? { ...l, img: image } : l)));
+      loadLayer(next, image);
+    });
+  };
 
-  // Download PNG of pixelated output (at 1:1 pixel size)
-  const downloadPng = () => {
-    const canvas = baseCanvasRef.current;
-    if (!canvas) return;
+  // Deep links: a #plan= fragment is applied on load (after saved settings and palettes)
+  // and on back/forward; settings changes are written back to the fragment
+  const [linkCode, setLinkCode] = useState(null);
+  const replaceFragmentRef = useRef(true); // next fragment write replaces rather than adds a history entry
+  const fragmentSettingsRef = useRef(null); // the fragment's code with the zoom left out: zooming isn't a history step
+  const startCodeRef = useRef(null); // settings on load; a plain URL stays plain until they change
+  useEffect(() => {
+    const readFragment = () => {
+      const m = /^#plan=(.+)$/.exec(window.location.hash);
+      if (m) setLinkCode(m[1]);
+    };
+    if (/^#plan=/.test(window.location.hash)) setShowIntro(false);
+    readFragment();
+    window.addEventListener("popstate", readFragment);
+    return () => window.removeEventListener("popstate", readFragment);
+  }, []);
+  useEffect(() => {
+    if (linkCode === null) return;
+    setLinkCode(null);
+    replaceFragmentRef.current = true;
+    applyCodeRef.current(`#plan=${linkCode}`);
+  }, [linkCode]);
+  useEffect(() => {
+    if (linkCode !== null) return;
+    const timer = setTimeout(() => {
+      let code, settings;
+      try {
+        code = buildShareCode(gridFromCode ? grid : null);
+        settings = buildShareCode(gridFromCode ? grid : null, undefined, 0);
+      } catch { return; }
+      const viewOnly = settings === fragmentSettingsRef.current;
+      fragmentSettingsRef.current = settings;
+      if (window.location.hash === `#plan=${code}`) return;
+      if (!window.location.hash && (startCodeRef.current === null || startCodeRef.current === code)) {
+        startCodeRef.current = code;
+        return;
+      }
+      const url = planLink(code);
+      if (replaceFragmentRef.current || viewOnly) window.history.replaceState(null, "", url);
+      else window.history.pushState(null, "", url);
+      replaceFragmentRef.current = false;
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [buildShareCode, gridFromCode, grid, linkCode]);
+
+  // Exports cover what is still to be placed (everything unless comparing with the canvas)
+  const originX = Number(genesisX) || 0, originY = Number(genesisY) || 0;
+  const exportName = () => exportBaseName(imageInfo?.name, gridW, gridH, originX, originY);
+
+  // wplace coordinates: the origin as tile + pixel, set field by field or from a pasted location
+  const originTile = toTile(originX, originY);
+  const planTiles = tileSpan(originX, originY, gridW, gridH);
+  const setOriginTile = (field, value) => {
+    if (lockGenesis) return;
+    const n = parseInt(value, 10) || 0;
+    const t = { ...originTile, [field]: field === "px" || field === "py" ? clamp(n, 0, TILE_SIZE - 1) : n };
+    const { x, y } = fromTile(t.tx, t.ty, t.px, t.py);
+    setGenesisX(x);
+    setGenesisY(y);
+  };
+  const applyLocation = () => {
+    if (lockGenesis) return;
+    let at;
+    try {
+      at = parseLocation(locationText);
+    } catch (e) {
+      alert(`Could not use that location: ${e.message}`);
+      return;
+    }
+    if (!at) { alert("No wplace location found. Paste a wplace link or a tile like \"Tl 12/34 Px 56/78\"."); return; }
+    setGenesisX(at.x);
+    setGenesisY(at.y);
+    setLocationText("");
+  };
+  const downloadCanvas = (canvas, filename) => {
+    if (!canvas) { alert("The image is too large for this browser to draw"); return; }
     const a = document.createElement("a");
     a.href = canvas.toDataURL("image/png");
-    a.download = "pixel-planner.png";
+    a.download = filename;
     a.click();
   };
+  // Download PNG of pixelated output (at 1:1 pixel size, empty cells transparent)
+  const downloadPng = () => {
+    if (!gridW) return;
+    downloadCanvas(renderPlanCanvas(targetCells, plan.colors, gridW, gridH), `${exportName()}.png`);
+  };
+  // The template needs whole px per cell, and no more than a canvas can hold
+  const zoomScale = Math.max(1, Math.round(zoom));
+  const templateScale = gridW ? Math.min(zoomScale, maxCanvasScale(gridW, gridH, exportRulers ? MAX_RULER_MARGIN : 0)) : zoomScale;
+  const downloadTemplatePng = () => {
+    if (!gridW) return;
+    const canvas = renderPlanCanvas(targetCells, plan.colors, gridW, gridH, {
+      scale: templateScale, gridLines: exportGridLines, rulers: exportRulers, originX, originY
+    });
+    downloadCanvas(canvas, `${exportName()}_template_x${templateScale}.png`);
+  };
+  const downloadSvg = () => {
+    if (!gridW) return;
+    downloadText(`${exportName()}.svg`, planToSvg(targetCells, plan.colors, gridW, gridH), "image/svg+xml");
+  };
+  const downloadCoords = (format) => {
+    if (!gridW) return;
+    const coords = planToCoords(targetCells, plan.colors, gridW, gridH, originX, originY, layerCount > 1 ? layerNameAt : null);
+    if (format === "csv") downloadText(`${exportName()}_pixels.csv`, coordsToCsv(coords), "text/csv");
+    else downloadText(`${exportName()}_pixels.json`, JSON.stringify(coords), "application/json");
+  };
+  const downloadTemplateBundle = () => {
+    const canvas = gridW ? renderPlanCanvas(targetCells, plan.colors, gridW, gridH) : null;
+    if (!canvas) return;
+    const name = exportName();
+    downloadText(`${name}_template.json`, templateBundle(name, canvas.toDataURL("image/png"), originX, originY), "application/json");
+  };
 
   // Helpers for palette UI
   const toggleColour = (idx) => {
@@ -366,14 +1681,384 @@ export default function App() {
     });
   };
   const applyBaseSet = () => {
-    if (lockPalette) return;
-    setPaletteEnabled(PALETTE.map(hex => BASE_SET.includes(hex)));
+    if (lockPalette || !activePalette.baseSet) return;
+    setPaletteEnabled(defaultEnabled(activePalette));
   };
   const enableFullSet = () => {
     if (lockPalette) return;
-    setPaletteEnabled(Array(PALETTE.length).fill(true));
+    setPaletteEnabled(Array(palette.length).fill(true));
   };
 
+  // Optimise palette: the best N colours for the source, kept colours always in.
+  // The search runs in a worker; the result is previewed on the stage until it is
+  // applied or dropped. A result for settings that have since changed is dropped.
+  const optimiseRun = useRef(0);
+  useEffect(() => {
+    optimiseRun.current++;
+    setOptimising(false);
+    setOptimisePreview(null);
+  }, [activePalette, paletteEnabled, lockPalette]);
+  const toggleKeepColour = (hex) => {
+    setKeepHexes(prev => (prev.includes(hex) ? prev.filter(h => h !== hex) : [...prev, hex]));
+  };
+  const previewOptimisedPalette = () => {
+    if (lockPalette || !hasSource || optimising) return;
+    const run = ++optimiseRun.current;
+    setOptimising(true);
+    optimiseInBackground({
+      pixels: grid.source,
+      alphaThreshold: (alphaThreshold / 100) * 255,
+      palette,
+      n: optimiseCount,
+      metric: colorMetric,
+      keep: keepHexes.map(h => palette.indexOf(h)).filter(i => i >= 0),
+      candidates: optimiseFromEnabled ? enabledIndices : undefined,
+      current: enabledIndices,
+    }).then(({ chosen, error, currentError }) => {
+      if (run !== optimiseRun.current) return;
+      setOptimising(false);
+      setOptimisePreview({ enabled: palette.map((_, i) => chosen.includes(i)), chosen, error, currentError });
+    }, (e) => {
+      if (run !== optimiseRun.current) return;
+      setOptimising(false);
+      alert(`Could not optimise the palette: ${e.message}`);
+    });
+  };
+  const applyOptimisedPalette = () => {
+    if (lockPalette || !optimisePreview) return;
+    setPaletteEnabled(optimisePreview.enabled);
+  };
+
+  // Remap rules. A rule added from a swatch replaces any earlier rule for that colour.
+  const remapCounts = useMemo(() => ruleCounts(remapRules, grid.colors, grid.cells), [remapRules, grid]);
+  const addRemapRule = (from, to) => {
+    if (lockPalette) return;
+    setRemapRules(prev => (prev.some(r => r.from === from)
+      ? prev.map(r => (r.from === from ? { from, to } : r))
+      : [...prev, { from, to }]));
+  };
+  const updateRemapRule = (k, changes) => {
+    if (lockPalette) return;
+    setRemapRules(prev => prev.map((r, i) => (i === k ? { ...r, ...changes } : r)));
+  };
+  const moveRemapRule = (k, dir) => {
+    if (lockPalette) return;
+    setRemapRules(prev => {
+      const j = k + dir;
+      if (j < 0 || j >= prev.length) return prev;
+      const next = [...prev];
+      [next[k], next[j]] = [next[j], next[k]];
+      return next;
+    });
+  };
+  const removeRemapRule = (k) => {
+    if (lockPalette) return;
+    setRemapRules(prev => prev.filter((_, i) => i !== k));
+  };
+
+  // Palette manager. Built-in presets are read-only; duplicate one to edit it.
+  const canEditPalette = !lockPalette && !isBuiltinPalette(activePalette.id);
+  const addPalette = (pal, enabled) => {
+    const created = { ...pal, id: newPaletteId() };
+    setCustomPalettes(prev => [...prev, created]);
+    if (enabled) setEnabledByPalette(prev => ({ ...prev, [created.id]: enabled }));
+    setActivePaletteId(created.id);
+  };
+  const updateActivePalette = (changes, enabled) => {
+    const id = activePalette.id;
+    setCustomPalettes(prev => prev.map(p => (p.id === id ? { ...p, ...changes } : p)));
+    if (enabled) setEnabledByPalette(prev => ({ ...prev, [id]: enabled }));
+  };
+  const selectPalette = (id) => {
+    if (lockPalette) return;
+    const next = palettes.find(p => p.id === id);
+    if (next && !confirmPaletteChange(next.colors.map(c => c.hex))) return;
+    setActivePaletteId(id);
+  };
+  const createPalette = () => {
+    if (lockPalette) return;
+    const name = window.prompt("Name for the new palette", "My palette");
+    if (!name || !confirmPaletteChange(["#000000", "#FFFFFF"])) return;
+    addPalette({ name: name.trim(), colors: [{ hex: "#000000" }, { hex: "#FFFFFF" }] });
+  };
+  const duplicatePalette = () => {
+    if (lockPalette) return;
+    addPalette({ name: `${activePalette.name} (copy)`, colors: activePalette.colors.map(c => ({ ...c })) }, [...paletteEnabled]);
+  };
+  const renamePalette = () => {
+    if (!canEditPalette) return;
+    const name = window.prompt("Rename palette", activePalette.name);
+    if (name && name.trim()) updateActivePalette({ name: name.trim() });
+  };
+  const deletePalette = () => {
+    if (!canEditPalette) return;
+    if (!window.confirm(`Delete palette "${activePalette.name}"?`)) return;
+    const fallback = BUILTIN_PALETTES.find(p => p.id === DEFAULT_PALETTE_ID);
+    if (!confirmPaletteChange(fallback.colors.map(c => c.hex))) return;
+    const id = activePalette.id;
+    setCustomPalettes(prev => prev.filter(p => p.id !== id));
+    setEnabledByPalette(prev => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    setActivePaletteId(DEFAULT_PALETTE_ID);
+  };
+  const addColour = () => {
+    if (!canEditPalette) return;
+    const hex = normalizeHex(newColourHex);
+    if (!hex) { alert("Enter a colour as a hex code, e.g. #FF4500"); return; }
+    if (activePalette.colors.length >= MAX_PALETTE_COLORS) { alert(`A palette can hold at most ${MAX_PALETTE_COLORS} colours`); return; }
+    const name = newColourName.trim();
+    updateActivePalette(
+      { colors: [...activePalette.colors, name ? { hex, name } : { hex }] },
+      [...paletteEnabled, true]
+    );
+    setNewColourHex(""); setNewColourName("");
+  };
+  const removeColour = (idx) => {
+    if (!canEditPalette || activePalette.colors.length <= 1) return;
+    if (!confirmPaletteChange(palette.filter((_, i) => i !== idx))) return;
+    updateActivePalette(
+      { colors: activePalette.colors.filter((_, i) => i !== idx) },
+      paletteEnabled.filter((_, i) => i !== idx)
+    );
+  };
+  const importPaletteFile = (file) => {
+    if (lockPalette) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parsePaletteFile(String(reader.result), file.name);
+        if (parsed.colors.length > MAX_PALETTE_COLORS) {
+          alert(`Only the first ${MAX_PALETTE_COLORS} of ${parsed.colors.length} colours were imported`);
+          parsed.colors = parsed.colors.slice(0, MAX_PALETTE_COLORS);
+        }
+        if (!confirmPaletteChange(parsed.colors.map(c => c.hex))) return;
+        addPalette(parsed);
+      } catch (e) {
+        alert(`Could not import palette: ${e.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+  const exportPaletteFile = () => {
+    const fmt = PALETTE_FORMATS.find(f => f.id === paletteExportFormat) || PALETTE_FORMATS[0];
+    downloadText(`${activePalette.name.replace(/[^\w-]+/g, "_")}.${fmt.ext}`, serializePalette(activePalette, fmt.id));
+  };
+
+  // Material list export
+  const exportMaterials = (format) => {
+    const base = `${exportName()}_${live ? "remaining" : "materials"}`;
+    if (format === "csv") downloadText(`${base}.csv`, materialsToCsv(materials), "text/csv");
+    else downloadText(`${base}.txt`, materialsToText(materials));
+  };
+
+  // Assignments. Exports follow the other exports (only what's left while comparing with the canvas).
+  const addMember = () => {
+    const name = newMemberName.trim();
+    if (!name || assignment.members.length >= MAX_MEMBERS) return;
+    setAssignment(a => ({ ...a, members: [...a.members, { id: newMemberId(), name }] }));
+    setNewMemberName("");
+  };
+  const renameMemberPrompt = (m) => {
+    const name = window.prompt("Rename member", m.name);
+    if (!name || !name.trim()) return;
+    setAssignment(a => ({ ...a, members: a.members.map(x => (x.id === m.id ? { ...x, name: name.trim() } : x)) }));
+  };
+  const removeMember = (m) => {
+    if (!window.confirm(`Remove ${m.name} from the assignment?`)) return;
+    if (assignDrawTo === m.id) setAssignDrawTo(null);
+    setAssignment(a => ({ ...a, members: a.members.filter(x => x.id !== m.id), rects: a.rects.filter(r => r.member !== m.id) }));
+  };
+  const clearMemberRects = (m) => setAssignment(a => ({ ...a, rects: a.rects.filter(r => r.member !== m.id) }));
+  const memberFileName = (m, suffix) => `${exportName()}_${m.name.replace(/[^\w-]+/g, "-")}_${suffix}`;
+  const exportMemberCoords = (k) => {
+    if (!owner) return;
+    const m = assignment.members[k];
+    const coords = planToCoords(memberCells(targetCells, owner, k), plan.colors, gridW, gridH, originX, originY, layerCount > 1 ? layerNameAt : null);
+    downloadText(memberFileName(m, "pixels.csv"), coordsToCsv(coords), "text/csv");
+  };
+  const exportMemberCounts = (k) => {
+    if (!owner) return;
+    const m = assignment.members[k];
+    downloadText(memberFileName(m, "materials.csv"), materialsToCsv(countColours(memberCells(targetCells, owner, k), plan.colors)), "text/csv");
+  };
+  // A link that opens a plan holding only the member's cells
+  const shareMemberPart = (k) => {
+    if (!owner) return;
+    try {
+      shareText(planLink(buildShareCode({ ...plan, cells: memberCells(plan.cells, owner, k) }, [])));
+    } catch (e) {
+      alert(`Could not make the share link: ${e.message}`);
+    }
+  };
+
+  // ----- Crop / rotate / flip -----
+  const cropPreviewRef = useRef(null);
+  const updateTransform = (next) => {
+    if (!confirmDiscardEdits()) return;
+    setTransform(next);
+  };
+  // Locked crop shape as width / height in crop fractions (null when free)
+  const rotated = img ? rotatedSize(img.naturalWidth, img.naturalHeight, transform) : null;
+  const cropRatio = (() => {
+    if (!rotated || transform.aspect === "free") return null;
+    if (transform.aspect === "original") return 1;
+    const preset = ASPECT_PRESETS.find(p => p.id === transform.aspect);
+    return preset.ratio * rotated.height / rotated.width;
+  })();
+  const setCropAspect = (aspect) => {
+    const next = { ...transform, aspect };
+    const preset = ASPECT_PRESETS.find(p => p.id === aspect);
+    if (rotated && (preset.ratio || aspect === "original")) {
+      next.crop = fitCropToAspect(transform.crop, aspect === "original" ? 1 : preset.ratio * rotated.height / rotated.width);
+    }
+    updateTransform(next);
+  };
+  // Pointer events, so handles work with touch and pens as well as the mouse
+  const startCropDrag = (e, handle) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!e.isPrimary) return;
+    if (!confirmDiscardEdits()) return;
+    const box = cropPreviewRef.current?.getBoundingClientRect();
+    if (!box) return;
+    const start = transform.crop || { x: 0, y: 0, w: 1, h: 1 };
+    const onMove = (ev) => {
+      if (ev.pointerId !== e.pointerId) return;
+      const crop = dragCrop(start, handle, (ev.clientX - e.clientX) / box.width, (ev.clientY - e.clientY) / box.height, cropRatio);
+      setTransform(t => ({ ...t, crop }));
+    };
+    const onUp = (ev) => {
+      if (ev.pointerId !== e.pointerId) return;
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onUp);
+    };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onUp);
+  };
+
+  // Crop editor preview: the whole rotated image, small
+  useEffect(() => {
+    const canvas = cropPreviewRef.current;
+    if (!canvas || !img) return;
+    const preview = renderTransformed(img, img.naturalWidth, img.naturalHeight, { ...transform, crop: null }, { crop: false, maxSize: 320 });
+    if (!preview) return;
+    canvas.width = preview.width;
+    canvas.height = preview.height;
+    canvas.getContext("2d")?.drawImage(preview, 0, 0);
+  }, [img, transform]);
+
+  // ----- Colour adjustments -----
+  const adjustPreviewRef = useRef(null);
+  // The grid size doesn't change, so manual edits stay on top of the new colours
+  const changeAdjustment = (id, value) => {
+    setAdjustments(a => ({ ...a, [id]: value }));
+  };
+  const resetAdjustments = () => {
+    if (isNeutral(adjustments)) return;
+    setAdjustments(DEFAULT_ADJUSTMENTS);
+  };
+  // Small preview of the adjustments on the source (the plan applies them to its grid colours)
+  useEffect(() => {
+    const canvas = adjustPreviewRef.current;
+    if (!canvas || !fitted) return;
+    const scale = Math.min(1, 240 / Math.max(fitted.width, fitted.height));
+    canvas.width = Math.max(1, Math.round(fitted.width * scale));
+    canvas.height = Math.max(1, Math.round(fitted.height * scale));
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(fitted, 0, 0, canvas.width, canvas.height);
+    const data = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    data.data.set(adjustPixels(data.data, canvas.width, canvas.height, adjustments));
+    ctx.putImageData(data, 0, 0);
+  }, [fitted, adjustments]);
+
+  // ----- Compare with the live canvas -----
+  const loadScreenshot = (file) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      const c = document.createElement("canvas");
+      c.width = image.naturalWidth; c.height = image.naturalHeight;
+      const ctx = c.getContext("2d");
+      URL.revokeObjectURL(url);
+      if (!ctx) return;
+      ctx.drawImage(image, 0, 0);
+      setScreenshot({ name: file.name, data: ctx.getImageData(0, 0, c.width, c.height) });
+      // Assume a crop of exactly the plan area until told otherwise
+      setShotOrigin({ x: Number(genesisX) || 0, y: Number(genesisY) || 0 });
+      if (gridW) setShotScale(Math.round((c.width / gridW) * 100) / 100 || 1);
+    };
+    image.onerror = () => { URL.revokeObjectURL(url); alert("Could not read that screenshot"); };
+    image.src = url;
+  };
+  const fitScreenshot = () => {
+    if (!screenshot || !gridW) return;
+    setShotOrigin({ x: Number(genesisX) || 0, y: Number(genesisY) || 0 });
+    setShotScale(Math.round((screenshot.data.width / gridW) * 100) / 100 || 1);
+  };
+  const liveHex = (i) => {
+    const c = live?.cells[i];
+    return c === undefined || c === EMPTY ? null : plan.colors[c].hex;
+  };
+
+  // Saved projects, listed in the Projects card and on the upload screen
+  const projectAction = { background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 6, color: "#EAEAEA", cursor: "pointer", padding: "2px 6px", fontSize: 11 };
+  const projectList = (
+    <div style={{ display: "grid", gap: 6, maxHeight: 280, overflowY: "auto" }}>
+      {projects.map(p => (
+        <div
+          key={p.id}
+          style={{
+            display: "flex", alignItems: "center", gap: 8, padding: 6, borderRadius: 10,
+            background: "#0f0f0f", border: `1px solid ${p.id === projectId ? "#3D8BFF" : "#1f1f1f"}`
+          }}
+        >
+          <img
+            src={p.thumbnail || undefined}
+            alt=""
+            onClick={() => openProject(p.id)}
+            title={p.id === projectId ? "Open" : "Open this project"}
+            style={{ width: 44, height: 44, flex: "none", objectFit: "contain", imageRendering: "pixelated", background: "#1a1a1a", borderRadius: 6, cursor: "pointer" }}
+          />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div
+              onClick={() => openProject(p.id)}
+              style={{ fontSize: 13, cursor: "pointer", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+            >
+              {p.name}
+            </div>
+            <div style={{ fontSize: 11, color: "#A8A8A8" }}>{new Date(p.updatedAt).toLocaleString()}</div>
+            <div style={{ display: "flex", gap: 4, marginTop: 4 }}>
+              <button onClick={() => renameProjectPrompt(p)} style={projectAction}>Rename</button>
+              <button onClick={() => copyProject(p)} style={projectAction}>Duplicate</button>
+              <button onClick={() => exportProject(p)} title="Download as a single project file" style={projectAction}>Export</button>
+            </div>
+          </div>
+          <button
+            onClick={() => removeProject(p)}
+            title="Delete project"
+            style={{ background: "transparent", border: "none", color: "#A8A8A8", cursor: "pointer", fontSize: 14, lineHeight: 1 }}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <input
+        ref={projectFileRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={(e) => { if (e.target.files?.[0]) importProjectFile(e.target.files[0]); e.target.value = ""; }}
+        style={{ display: "none" }}
+      />
+    </div>
+  );
+
   // ------------- UI -------------
   return (
     <div
@@ -538,7 +2223,7 @@ export default function App() {
                   >
                     <ul style={{ margin: 0, padding: 0, paddingLeft: 18 }}>
                       <li>Upload or drop an image into the Source Image card.</li>
-                      <li>Drag to pan, use +/− to zoom, and hover to see coordinates and colour.</li>
+                      <li>Drag to pan, scroll, pinch or use +/− to zoom, and hover or tap to see coordinates and colour.</li>
                       <li>Adjust Pixels Across and Starting X/Y to align to your target canvas.</li>
                       <li>Choose your colour set: enable the Base set or the full palette for conversion.</li>
                       <li>Share/Import settings with a compact code to revisit your setup later.</li>
@@ -638,7 +2323,7 @@ export default function App() {
                 justifyContent: "center"
               }}
               aria-label="Download PNG"
-              title="Download PNG"
+              title="Download PNG (1:1)"
             >
               <svg width="20" height="20" viewBox="0 0 24 24" aria-hidden="true">
                 <path d="M12 4v8" stroke="currentColor" strokeWidth="2" strokeLinecap="round" />
@@ -650,7 +2335,7 @@ export default function App() {
         </header>
 
         {/* Controls */}
-        {!img ? (
+        {!img && !gridFromCode ? (
           /* Show only upload box when no image - larger and more prominent */
           <div style={{ maxWidth: "min(600px, 100%)", margin: "0 auto", marginBottom: 16 }}>
             <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: "clamp(12px, 3vw, 24px)" }}>
@@ -689,6 +2374,33 @@ export default function App() {
                   style={{ display: "none" }}
                 />
               </div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: 8, marginTop: 12 }}>
+                <input
+                  type="text"
+                  value={shareCode}
+                  onChange={(e) => setShareCode(e.target.value)}
+                  placeholder="…or paste a share code"
+                  style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", fontSize: "13px", minWidth: 0, boxSizing: "border-box" }}
+                />
+                <button
+                  onClick={applySettings}
+                  title="Open the plan in a share code"
+                  style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", whiteSpace: "nowrap", fontSize: "13px" }}
+                >
+                  Apply
+                </button>
+              </div>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginTop: 16, marginBottom: 8 }}>
+                <div style={{ fontWeight: 600 }}>{projects.length ? "Saved projects" : "No saved projects yet"}</div>
+                <button
+                  onClick={() => projectFileRef.current?.click()}
+                  title="Open a project file exported from this app"
+                  style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                >
+                  Import…
+                </button>
+              </div>
+              {projectList}
             </div>
           </div>
         ) : (
@@ -733,6 +2445,284 @@ export default function App() {
               </div>
             </div>
 
+            {/* Projects */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                <div style={{ fontWeight: 600 }}>Projects</div>
+                <div style={{ display: "flex", gap: 6 }}>
+                  {img && !projectId && !gridFromCode && (
+                    <button
+                      onClick={saveAsProject}
+                      title="Keep this image, its settings and edits in the project library"
+                      style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                    >
+                      Save as project
+                    </button>
+                  )}
+                  <button
+                    onClick={() => projectFileRef.current?.click()}
+                    title="Open a project file exported from this app"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Import…
+                  </button>
+                </div>
+              </div>
+              <div style={{ fontSize: 12, color: "#A8A8A8", marginBottom: 8 }}>
+                {projectId
+                  ? "Changes are saved in this browser as you work. A new image starts a new project."
+                  : gridFromCode
+                    ? "A plan opened from a share code isn't saved as a project."
+                    : "This image isn't saved."}
+              </div>
+              {projectId && projectSaveError && (
+                <div style={{ fontSize: 12, color: "#FFB000", marginBottom: 8 }}>
+                  Not saved: {projectSaveError}. Saving is tried again after the next change.
+                </div>
+              )}
+              {projectList}
+            </div>
+
+            {/* Layers */}
+            {img && !gridFromCode && (
+              <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                  <div style={{ fontWeight: 600 }}>Layers</div>
+                  <button
+                    onClick={() => layerFileRef.current?.click()}
+                    title="Place another image in this plan"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Add layer…
+                  </button>
+                  <input
+                    ref={layerFileRef}
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => { if (e.target.files?.[0]) addLayerFromFile(e.target.files[0]); e.target.value = ""; }}
+                    style={{ display: "none" }}
+                  />
+                </div>
+                <div style={{ fontSize: 12, color: "#A8A8A8", marginBottom: 8 }}>
+                  {layers.length
+                    ? "Image, size and colour settings apply to the selected layer. Offsets are pixels from the plan's top-left; upper layers cover lower ones."
+                    : "The plan is this one image. Add a layer to build it from several."}
+                </div>
+                <div style={{ display: "grid", gap: 6 }}>
+                  {[...layers].reverse().map(l => {
+                    const k = layers.indexOf(l);
+                    const active = l.id === activeLayerId;
+                    const small = { background: "transparent", border: "none", color: "#A8A8A8", cursor: "pointer", fontSize: 13, lineHeight: 1, padding: "0 2px" };
+                    const offsetInput = (axis) => (
+                      <input
+                        type="number"
+                        min={0}
+                        value={l[axis]}
+                        disabled={l.locked}
+                        onChange={(e) => moveLayerOffset(l.id, axis, e.target.value)}
+                        title={`${axis.toUpperCase()} offset`}
+                        style={{ width: 56, background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 6, padding: "3px 4px", fontSize: 12 }}
+                      />
+                    );
+                    return (
+                      <div
+                        key={l.id}
+                        style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6, fontSize: 12, padding: "6px 8px", borderRadius: 10, border: `1px solid ${active ? "#3a3a3a" : "#1f1f1f"}`, background: active ? "#1f1f1f" : "#0f0f0f" }}
+                      >
+                        <button
+                          onClick={() => selectLayer(l.id)}
+                          onDoubleClick={() => renameLayerPrompt(l)}
+                          title={active ? "Being worked on · double-click to rename" : "Work on this layer · double-click to rename"}
+                          style={{ flex: "1 1 120px", minWidth: 0, textAlign: "left", background: "transparent", border: "none", color: l.visible ? "#EAEAEA" : "#6a6a6a", cursor: "pointer", padding: 0, fontSize: 12, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+                        >
+                          {active ? "▸ " : ""}{l.name}
+                        </button>
+                        <span style={{ fontFamily: "monospace", color: "#A8A8A8" }} title="Pixels this layer shows in the plan">{layerPixels[l.id] || 0} px</span>
+                        <span style={{ color: "#A8A8A8" }}>x</span>{offsetInput("x")}
+                        <span style={{ color: "#A8A8A8" }}>y</span>{offsetInput("y")}
+                        <label title="Show in the plan" style={{ display: "flex", alignItems: "center", gap: 2, color: "#A8A8A8" }}>
+                          <input type="checkbox" checked={l.visible} onChange={() => updateLayer(l.id, { visible: !l.visible })} />
+                          Show
+                        </label>
+                        <label title="Stop the layer being moved, edited or removed" style={{ display: "flex", alignItems: "center", gap: 2, color: "#A8A8A8" }}>
+                          <input type="checkbox" checked={l.locked} onChange={() => updateLayer(l.id, { locked: !l.locked })} />
+                          Lock
+                        </label>
+                        <button onClick={() => reorderLayer(l.id, 1)} disabled={k === layers.length - 1} title="Move up" style={small}>↑</button>
+                        <button onClick={() => reorderLayer(l.id, -1)} disabled={k === 0} title="Move down" style={small}>↓</button>
+                        <button
+                          onClick={() => removeLayer(l.id)}
+                          disabled={l.locked || layers.length < 2}
+                          title="Remove layer"
+                          style={{ ...small, fontSize: 14, cursor: l.locked || layers.length < 2 ? "not-allowed" : "pointer" }}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Crop & rotate */}
+            {img && (
+              <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                  <div style={{ fontWeight: 600 }}>Crop &amp; rotate</div>
+                  <button
+                    onClick={() => updateTransform(DEFAULT_TRANSFORM)}
+                    title="Use the whole image, unrotated"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Reset
+                  </button>
+                </div>
+                <div style={{ display: "flex", justifyContent: "center", background: "#0f0f0f", borderRadius: 10, padding: 8 }}>
+                  <div style={{ position: "relative", overflow: "hidden", lineHeight: 0 }}>
+                    <canvas ref={cropPreviewRef} style={{ display: "block", maxWidth: "100%" }} />
+                    {(() => {
+                      const c = transform.crop || { x: 0, y: 0, w: 1, h: 1 };
+                      const corners = ["nw", "ne", "sw", "se"];
+                      const handleIds = cropRatio ? corners : [...corners, "n", "s", "e", "w"];
+                      return (
+                        <div
+                          onPointerDown={(e) => startCropDrag(e, "move")}
+                          title="Drag to move the crop; drag the handles to resize it"
+                          style={{
+                            position: "absolute",
+                            left: `${c.x * 100}%`,
+                            top: `${c.y * 100}%`,
+                            width: `${c.w * 100}%`,
+                            height: `${c.h * 100}%`,
+                            border: "1px solid #00FFF7",
+                            boxShadow: "0 0 0 9999px rgba(0,0,0,0.55)",
+                            boxSizing: "border-box",
+                            cursor: "move",
+                            touchAction: "none"
+                          }}
+                        >
+                          {handleIds.map(h => (
+                            <div
+                              key={h}
+                              onPointerDown={(e) => startCropDrag(e, h)}
+                              style={{
+                                position: "absolute",
+                                width: 10,
+                                height: 10,
+                                background: "#00FFF7",
+                                borderRadius: 2,
+                                left: h.includes("w") ? -5 : h.includes("e") ? "calc(100% - 5px)" : "calc(50% - 5px)",
+                                top: h.includes("n") ? -5 : h.includes("s") ? "calc(100% - 5px)" : "calc(50% - 5px)",
+                                cursor: `${h}-resize`,
+                                touchAction: "none"
+                              }}
+                            />
+                          ))}
+                        </div>
+                      );
+                    })()}
+                  </div>
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 6, marginTop: 10 }}>
+                  {[
+                    { label: "⟲ 90°", title: "Rotate anticlockwise", next: () => rotateTransform(transform, -1) },
+                    { label: "⟳ 90°", title: "Rotate clockwise", next: () => rotateTransform(transform, 1) },
+                    { label: "Flip ↔", title: "Flip horizontally", next: () => flipTransform(transform, "h") },
+                    { label: "Flip ↕", title: "Flip vertically", next: () => flipTransform(transform, "v") },
+                  ].map(b => (
+                    <button
+                      key={b.title}
+                      onClick={() => updateTransform(b.next())}
+                      title={b.title}
+                      style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 4px", fontSize: 12 }}
+                    >
+                      {b.label}
+                    </button>
+                  ))}
+                </div>
+                <label style={{ display: "block", fontSize: 13, marginTop: 10 }}>
+                  Aspect ratio
+                  <select
+                    value={transform.aspect}
+                    onChange={(e) => setCropAspect(e.target.value)}
+                    style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6 }}
+                  >
+                    {ASPECT_PRESETS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                  </select>
+                </label>
+                <div style={{ fontSize: 13, marginTop: 10 }}>
+                  Straighten: <span style={{ fontFamily: "monospace" }}>{transform.straighten.toFixed(1)}°</span>
+                </div>
+                <input
+                  type="range"
+                  min={-MAX_STRAIGHTEN}
+                  max={MAX_STRAIGHTEN}
+                  step={0.5}
+                  value={transform.straighten}
+                  onChange={(e) => updateTransform({ ...transform, straighten: parseFloat(e.target.value) })}
+                  onDoubleClick={() => updateTransform({ ...transform, straighten: 0 })}
+                  title="Double-click to reset"
+                  style={{ width: "100%" }}
+                />
+                {source && (
+                  <div style={{ marginTop: 6, color: "#A8A8A8", fontSize: 12 }}>
+                    Using {source.width} × {source.height} px of {img.naturalWidth} × {img.naturalHeight}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Colour adjustments */}
+            {img && (
+              <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                  <div style={{ fontWeight: 600 }}>Adjustments</div>
+                  <button
+                    onClick={resetAdjustments}
+                    disabled={isNeutral(adjustments)}
+                    title="Reset every adjustment"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: isNeutral(adjustments) ? "not-allowed" : "pointer", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Reset
+                  </button>
+                </div>
+                <div style={{ display: "flex", justifyContent: "center", background: "repeating-conic-gradient(#2a2a2a 0% 25%, #1a1a1a 0% 50%) 0 0 / 16px 16px", borderRadius: 10, padding: 8 }}>
+                  <canvas ref={adjustPreviewRef} title="The source with these adjustments; the plan applies them to its pixel colours" style={{ display: "block", maxWidth: "100%" }} />
+                </div>
+                {ADJUSTMENT_CONTROLS.map(c => {
+                  const value = adjustments[c.id];
+                  const isOff = c.off !== undefined && value === c.off;
+                  const shown = isOff ? "off" : c.id === "posterize" ? `${value} levels` : `${c.id === "gamma" ? value.toFixed(2) : value}${c.unit || ""}`;
+                  return (
+                    <div key={c.id} style={{ marginTop: 8 }}>
+                      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", fontSize: 13 }}>
+                        <span>{c.label}: <span style={{ fontFamily: "monospace" }}>{shown}</span></span>
+                        {c.off !== undefined && (
+                          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                            <input type="checkbox" checked={!isOff} onChange={(e) => changeAdjustment(c.id, e.target.checked ? c.min : c.off)} />
+                            On
+                          </label>
+                        )}
+                      </div>
+                      <input
+                        type="range"
+                        min={c.min}
+                        max={c.max}
+                        step={c.step}
+                        value={isOff ? c.min : value}
+                        disabled={isOff}
+                        onChange={(e) => changeAdjustment(c.id, parseFloat(e.target.value))}
+                        onDoubleClick={() => changeAdjustment(c.id, DEFAULT_ADJUSTMENTS[c.id])}
+                        title="Double-click to reset"
+                        style={{ width: "100%" }}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
             {/* Pixelation */}
             <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
               <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
@@ -760,14 +2750,124 @@ export default function App() {
               </div>
               <div style={{ opacity: lockPixelation ? 0.55 : 1 }}>
                 <div style={{ fontSize: 13, marginBottom: 6 }}>
-                  Pixels across: <span style={{ fontFamily: "monospace" }}>{pixelsAcross}</span>
+                  Pixels across: <span style={{ fontFamily: "monospace" }}>{targetW}</span>
+                  {targetW < sizeW && (
+                    <span style={{ color: "#A8A8A8" }}> (shrunk so all layers fit in {MAX_GRID_CELLS.toLocaleString()} pixels)</span>
+                  )}
+                </div>
+                <input
+                  type="range"
+                  min={1}
+                  max={Math.min(maxAcross, 1000)}
+                  value={targetW}
+                  onChange={(e) => changePixelsAcross(parseInt(e.target.value, 10))}
+                  style={{ width: "100%" }}
+                  disabled={lockPixelation}
+                />
+                <div style={{ display: "grid", gridTemplateColumns: "1fr auto 1fr", alignItems: "end", gap: 8, marginTop: 8 }}>
+                  {[
+                    { key: "w", label: "Width", value: targetW, max: maxAcross, set: changePixelsAcross, disabled: false },
+                    { key: "h", label: "Height", value: targetH, max: lockAspect ? targetH : maxDown, set: changePixelsDown, disabled: lockAspect },
+                  ].map((f, k) => (
+                    <React.Fragment key={f.key}>
+                      <label style={{ fontSize: 13 }}>
+                        {f.label}
+                        <input
+                          type="number"
+                          min={1}
+                          max={f.max}
+                          value={sizeDraft[f.key] ?? f.value}
+                          disabled={lockPixelation || f.disabled}
+                          onChange={(e) => {
+                            const text = e.target.value;
+                            setSizeDraft(d => ({ ...d, [f.key]: text }));
+                          }}
+                          // Only a finished value regrids (and may ask about edits)
+                          onBlur={() => {
+                            const n = parseInt(sizeDraft[f.key], 10);
+                            setSizeDraft(d => ({ ...d, [f.key]: null }));
+                            if (n >= 1) f.set(Math.min(n, f.max));
+                          }}
+                          onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+                          title={`1 – ${f.max} (at most ${MAX_GRID_CELLS.toLocaleString()} pixels in total)`}
+                          style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6, boxSizing: "border-box" }}
+                        />
+                      </label>
+                      {k === 0 && (
+                        <button
+                          onClick={toggleLockAspect}
+                          disabled={lockPixelation}
+                          title={lockAspect ? "Height follows the image; click to set it freely" : "Make height follow the image again"}
+                          style={{ height: 36, background: lockAspect ? "#2a2a2a" : "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "0 8px", fontSize: 12 }}
+                        >
+                          {lockAspect ? "● Ratio" : "○ Ratio"}
+                        </button>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </div>
+                {!lockAspect && (
+                  <label style={{ display: "block", fontSize: 13, marginTop: 10 }}>
+                    Shape mismatch
+                    <select
+                      value={fitMode}
+                      onChange={(e) => { if (confirmDiscardEdits()) setFitMode(e.target.value); }}
+                      disabled={lockPixelation}
+                      title="How the image fills a grid of a different shape"
+                      style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6 }}
+                    >
+                      {FIT_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                    </select>
+                  </label>
+                )}
+                <label style={{ display: "block", fontSize: 13, marginTop: 10 }}>
+                  Resampling
+                  <select
+                    value={resampleMode}
+                    onChange={(e) => setResampleMode(e.target.value)}
+                    disabled={lockPixelation}
+                    title="How source pixels inside each cell are combined"
+                    style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6 }}
+                  >
+                    {RESAMPLE_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                  </select>
+                </label>
+                <label style={{ display: "block", fontSize: 13, marginTop: 10 }}>
+                  Dithering
+                  <select
+                    value={ditherMode}
+                    onChange={(e) => setDitherMode(e.target.value)}
+                    disabled={lockPixelation}
+                    style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6 }}
+                  >
+                    {DITHER_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                  </select>
+                </label>
+                {ditherMode !== "none" && (
+                  <>
+                    <div style={{ fontSize: 13, marginTop: 10, marginBottom: 6 }}>
+                      Dither strength: <span style={{ fontFamily: "monospace" }}>{ditherStrength}%</span>
+                    </div>
+                    <input
+                      type="range"
+                      min={0}
+                      max={100}
+                      value={ditherStrength}
+                      onChange={(e) => setDitherStrength(parseInt(e.target.value, 10))}
+                      style={{ width: "100%" }}
+                      disabled={lockPixelation}
+                    />
+                  </>
+                )}
+                <div style={{ fontSize: 13, marginTop: 10, marginBottom: 6 }} title="Cells less opaque than this are left empty (not placed)">
+                  Alpha threshold: <span style={{ fontFamily: "monospace" }}>{alphaThreshold}%</span>
                 </div>
                 <input
                   type="range"
-                  min={5}
-                  max={400}
-                  value={pixelsAcross}
-                  onChange={(e) => setPixelsAcross(parseInt(e.target.value, 10))}
+                  min={0}
+                  max={100}
+                  value={alphaThreshold}
+                  onChange={(e) => setAlphaThreshold(parseInt(e.target.value, 10))}
                   style={{ width: "100%" }}
                   disabled={lockPixelation}
                 />
@@ -800,78 +2900,208 @@ export default function App() {
                 </button>
               </div>
               <div style={{ opacity: lockGenesis ? 0.55 : 1 }}>
-                <div className="genesis-inputs" style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
-                  <label style={{ fontSize: 13 }}>
-                    X
-                    <input
-                      type="text"
-                      value={genesisX}
-                      onChange={(e) => {
-                        const val = e.target.value;
-                        if (val === '' || val === '-') {
-                          setGenesisX(val);
-                        } else if (/^-?\d+$/.test(val)) {
-                          setGenesisX(parseInt(val, 10));
-                        }
-                      }}
-                      onBlur={(e) => {
-                        const val = e.target.value;
-                        if (val === '' || val === '-' || isNaN(parseInt(val, 10))) {
-                          setGenesisX(0);
-                        }
-                      }}
-                      style={{ 
-                        width: "100%", 
-                        background: "#1a1a1a", 
-                        border: "1px solid #2a2a2a", 
-                        color: "#EAEAEA", 
-                        borderRadius: 10, 
-                        padding: "8px 10px", 
-                        marginTop: 6,
-                        boxSizing: "border-box",
-                        MozAppearance: "textfield"
-                      }}
-                      disabled={lockGenesis}
-                    />
-                  </label>
-                  <label style={{ fontSize: 13 }}>
-                    Y
-                    <input
-                      type="text"
-                      value={genesisY}
-                      onChange={(e) => {
-                        const val = e.target.value;
-                        if (val === '' || val === '-') {
-                          setGenesisY(val);
-                        } else if (/^-?\d+$/.test(val)) {
-                          setGenesisY(parseInt(val, 10));
-                        }
-                      }}
-                      onBlur={(e) => {
-                        const val = e.target.value;
-                        if (val === '' || val === '-' || isNaN(parseInt(val, 10))) {
-                          setGenesisY(0);
-                        }
-                      }}
-                      style={{ 
-                        width: "100%", 
-                        background: "#1a1a1a", 
-                        border: "1px solid #2a2a2a", 
-                        color: "#EAEAEA", 
-                        borderRadius: 10, 
-                        padding: "8px 10px", 
-                        marginTop: 6,
-                        boxSizing: "border-box",
-                        MozAppearance: "textfield"
-                      }}
-                      disabled={lockGenesis}
-                    />
-                  </label>
+                <label style={{ display: "block", fontSize: 13, marginBottom: 8 }}>
+                  Coordinates
+                  <select
+                    value={coordSystem}
+                    onChange={(e) => setCoordSystem(e.target.value)}
+                    style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6 }}
+                  >
+                    {COORD_SYSTEMS.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                  </select>
+                </label>
+                {coordSystem === "global" ? (
+                  <div className="genesis-inputs" style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+                    <label style={{ fontSize: 13 }}>
+                      X
+                      <input
+                        type="text"
+                        value={genesisX}
+                        onChange={(e) => {
+                          const val = e.target.value;
+                          if (val === '' || val === '-') {
+                            setGenesisX(val);
+                          } else if (/^-?\d+$/.test(val)) {
+                            setGenesisX(parseInt(val, 10));
+                          }
+                        }}
+                        onBlur={(e) => {
+                          const val = e.target.value;
+                          if (val === '' || val === '-' || isNaN(parseInt(val, 10))) {
+                            setGenesisX(0);
+                          }
+                        }}
+                        style={{ 
+                          width: "100%", 
+                          background: "#1a1a1a", 
+                          border: "1px solid #2a2a2a", 
+                          color: "#EAEAEA", 
+                          borderRadius: 10, 
+                          padding: "8px 10px", 
+                          marginTop: 6,
+                          boxSizing: "border-box",
+                          MozAppearance: "textfield"
+                        }}
+                        disabled={lockGenesis}
+                      />
+                    </label>
+                    <label style={{ fontSize: 13 }}>
+                      Y
+                      <input
+                        type="text"
+                        value={genesisY}
+                        onChange={(e) => {
+                          const val = e.target.value;
+                          if (val === '' || val === '-') {
+                            setGenesisY(val);
+                          } else if (/^-?\d+$/.test(val)) {
+                            setGenesisY(parseInt(val, 10));
+                          }
+                        }}
+                        onBlur={(e) => {
+                          const val = e.target.value;
+                          if (val === '' || val === '-' || isNaN(parseInt(val, 10))) {
+                            setGenesisY(0);
+                          }
+                        }}
+                        style={{ 
+                          width: "100%", 
+                          background: "#1a1a1a", 
+                          border: "1px solid #2a2a2a", 
+                          color: "#EAEAEA", 
+                          borderRadius: 10, 
+                          padding: "8px 10px", 
+                          marginTop: 6,
+                          boxSizing: "border-box",
+                          MozAppearance: "textfield"
+                        }}
+                        disabled={lockGenesis}
+                      />
+                    </label>
+                  </div>
+                ) : (
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+                    {[["tx", "Tile X"], ["ty", "Tile Y"], ["px", "Pixel X"], ["py", "Pixel Y"]].map(([field, label]) => (
+                      <label key={field} style={{ fontSize: 13 }}>
+                        {label}
+                        <input
+                          type="number"
+                          min={field === "px" || field === "py" ? 0 : undefined}
+                          max={field === "px" || field === "py" ? TILE_SIZE - 1 : undefined}
+                          value={originTile[field]}
+                          onChange={(e) => setOriginTile(field, e.target.value)}
+                          style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6, boxSizing: "border-box" }}
+                          disabled={lockGenesis}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <div style={{ fontSize: 12, color: "#A8A8A8", marginTop: 6, fontFamily: "monospace" }}>
+                  {coordSystem === "global" ? formatTile(originX, originY) : `(${originX}, ${originY})`}
+                </div>
+                <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+                  <input
+                    value={locationText}
+                    onChange={(e) => setLocationText(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === "Enter") applyLocation(); }}
+                    placeholder="Paste a wplace link or Tl X/Y Px X/Y"
+                    disabled={lockGenesis}
+                    style={{ flex: 1, minWidth: 0, background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "6px 10px" }}
+                  />
+                  <button
+                    onClick={applyLocation}
+                    disabled={lockGenesis || !locationText.trim()}
+                    title="Move the plan's top-left to this location"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: lockGenesis || !locationText.trim() ? "not-allowed" : "pointer", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Set
+                  </button>
                 </div>
+                {planTiles.across * planTiles.down > 1 && (
+                  <div style={{ fontSize: 12, color: "#FFB000", marginTop: 8 }}>
+                    The plan crosses a tile boundary: it covers {planTiles.across} × {planTiles.down} tiles.
+                  </div>
+                )}
               </div>
               {/* Hover readout moved to tooltip near cursor; intentionally not shown here */}
             </div>
 
+            {/* Stage guides */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ fontWeight: 600, marginBottom: 8 }}>Guides</div>
+              <div style={{ display: "flex", gap: 12, fontSize: 13 }}>
+                <label style={{ display: "flex", alignItems: "center", gap: 6 }} title={`Shown from zoom ${GRID_MIN_ZOOM}; heavier every 5 and 10 pixels`}>
+                  <input type="checkbox" checked={showGrid} onChange={(e) => setShowGrid(e.target.checked)} />
+                  Grid lines
+                </label>
+                <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <input type="checkbox" checked={showRulers} onChange={(e) => setShowRulers(e.target.checked)} />
+                  Rulers
+                </label>
+              </div>
+              <label style={{ display: "block", fontSize: 13, marginTop: 10 }}>
+                Chunk lines every (px, 0 = off)
+                <input
+                  type="number"
+                  min={0}
+                  value={chunkSize}
+                  onChange={(e) => setChunkSize(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                  title="Dashed blue lines on absolute multiples of this size, e.g. canvas tiles"
+                  style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6, boxSizing: "border-box" }}
+                />
+              </label>
+              {zoom < GRID_MIN_ZOOM && showGrid && (
+                <div style={{ marginTop: 6, color: "#A8A8A8", fontSize: 12 }}>Zoom in to {GRID_MIN_ZOOM}× to see grid lines.</div>
+              )}
+            </div>
+
+            {/* Source comparison */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ fontWeight: 600, marginBottom: 8 }}>Source comparison</div>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 6 }}>
+                {VIEW_MODES.map(m => (
+                  <button
+                    key={m.id}
+                    onClick={() => setViewMode(m.id)}
+                    disabled={m.id !== "plan" && !hasSource}
+                    style={{ background: viewMode === m.id ? "#2a2a2a" : "#1f1f1f", border: `1px solid ${viewMode === m.id ? "#3a3a3a" : "#2a2a2a"}`, borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 4px", fontSize: 12 }}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+              {!hasSource && (
+                <div style={{ marginTop: 8, color: "#A8A8A8", fontSize: 12 }}>Comparing needs the source image; a grid opened from a share code has none.</div>
+              )}
+              {hasSource && viewMode === "split" && (
+                <div style={{ marginTop: 10 }}>
+                  <div style={{ fontSize: 13, marginBottom: 6 }}>Source on the left: <span style={{ fontFamily: "monospace" }}>{splitPos}%</span></div>
+                  <input type="range" min={0} max={100} value={splitPos} onChange={(e) => setSplitPos(parseInt(e.target.value, 10))} style={{ width: "100%" }} />
+                </div>
+              )}
+              {hasSource && viewMode === "onion" && (
+                <div style={{ marginTop: 10 }}>
+                  <div style={{ fontSize: 13, marginBottom: 6 }}>Source opacity: <span style={{ fontFamily: "monospace" }}>{onionOpacity}%</span></div>
+                  <input type="range" min={0} max={100} value={onionOpacity} onChange={(e) => setOnionOpacity(parseInt(e.target.value, 10))} style={{ width: "100%" }} />
+                </div>
+              )}
+              {quality && (
+                <div style={{ marginTop: 10, fontSize: 13 }}>
+                  <div style={{ height: 10, borderRadius: 5, background: HEAT_GRADIENT }} />
+                  <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: "#A8A8A8", marginTop: 2 }}>
+                    <span>ΔE 0</span><span>{HEAT_MAX}+</span>
+                  </div>
+                  <div style={{ marginTop: 6 }}>
+                    Mean ΔE <span style={{ fontFamily: "monospace" }}>{quality.mean.toFixed(2)}</span>
+                    {" · "}max <span style={{ fontFamily: "monospace" }}>{quality.max.toFixed(2)}</span>
+                    <span style={{ color: "#A8A8A8" }}> over {quality.count} pixels</span>
+                  </div>
+                  <div style={{ color: "#A8A8A8", fontSize: 12, marginTop: 4 }}>CIEDE2000 between each cell's source colour and its palette colour; below ~2 is hard to see.</div>
+                </div>
+              )}
+            </div>
+
             {/* Colour conversion / Palette */}
             <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
               <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
@@ -914,19 +3144,115 @@ export default function App() {
                   {paletteOpen ? 'Hide' : 'Edit'}
                 </button>
               </div>
+              <label style={{ display: 'block', fontSize: 13, marginBottom: 8 }}>
+                Colour matching
+                <select
+                  value={colorMetric}
+                  onChange={(e) => setColorMetric(e.target.value)}
+                  disabled={lockPalette}
+                  title="Colour-difference formula used to pick the nearest palette colour"
+                  style={{ width: '100%', background: '#1a1a1a', border: '1px solid #2a2a2a', color: '#EAEAEA', borderRadius: 10, padding: '8px 10px', marginTop: 6 }}
+                >
+                  {COLOR_METRICS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </label>
               {!paletteOpen && (
                 <div style={{ color: '#A8A8A8', fontSize: 12 }}>
-                  Enabled {enabledIndices.length}/{PALETTE.length}
+                  {activePalette.name} · Enabled {enabledIndices.length}/{palette.length}
                 </div>
               )}
               {paletteOpen && (
                 <div style={{ opacity: lockPalette ? 0.55 : 1 }}>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: 8, marginBottom: 8 }}>
+                    <select
+                      value={activePalette.id}
+                      onChange={(e) => selectPalette(e.target.value)}
+                      disabled={lockPalette}
+                      title="Active palette"
+                      style={{ width: '100%', background: '#1a1a1a', border: '1px solid #2a2a2a', color: '#EAEAEA', borderRadius: 10, padding: '8px 10px', minWidth: 0 }}
+                    >
+                      <optgroup label="Presets">
+                        {BUILTIN_PALETTES.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                      </optgroup>
+                      {customPalettes.length > 0 && (
+                        <optgroup label="My palettes">
+                          {customPalettes.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </optgroup>
+                      )}
+                    </select>
+                    <button
+                      onClick={createPalette}
+                      title="Create a new palette"
+                      disabled={lockPalette}
+                      style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: lockPalette ? 'not-allowed' : 'pointer', fontSize: '13px' }}
+                    >
+                      New
+                    </button>
+                  </div>
+                  <div style={{ display: 'flex', gap: 8, marginBottom: 8, flexWrap: 'wrap' }}>
+                    <button
+                      onClick={duplicatePalette}
+                      title="Copy this palette into a new editable palette"
+                      disabled={lockPalette}
+                      style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: lockPalette ? 'not-allowed' : 'pointer', fontSize: '13px', flex: '1' }}
+                    >
+                      Duplicate
+                    </button>
+                    <button
+                      onClick={renamePalette}
+                      title={canEditPalette ? 'Rename this palette' : 'Presets cannot be renamed'}
+                      disabled={!canEditPalette}
+                      style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: canEditPalette ? 'pointer' : 'not-allowed', fontSize: '13px', flex: '1' }}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      onClick={deletePalette}
+                      title={canEditPalette ? 'Delete this palette' : 'Presets cannot be deleted'}
+                      disabled={!canEditPalette}
+                      style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: canEditPalette ? 'pointer' : 'not-allowed', fontSize: '13px', flex: '1' }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                  <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr auto', gap: 8, marginBottom: 10 }}>
+                    <button
+                      onClick={() => paletteFileRef.current?.click()}
+                      title="Import a .gpl, .txt (Paint.NET), .hex, .pal (JASC) or .json palette"
+                      disabled={lockPalette}
+                      style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: lockPalette ? 'not-allowed' : 'pointer', fontSize: '13px' }}
+                    >
+                      Import…
+                    </button>
+                    <select
+                      value={paletteExportFormat}
+                      onChange={(e) => setPaletteExportFormat(e.target.value)}
+                      title="Palette file format for export"
+                      style={{ width: '100%', background: '#1a1a1a', border: '1px solid #2a2a2a', color: '#EAEAEA', borderRadius: 10, padding: '8px 10px', minWidth: 0 }}
+                    >
+                      {PALETTE_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                    </select>
+                    <button
+                      onClick={exportPaletteFile}
+                      title="Download this palette as a file"
+                      style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: 'pointer', fontSize: '13px' }}
+                    >
+                      Export
+                    </button>
+                    <input
+                      ref={paletteFileRef}
+                      type="file"
+                      accept=".gpl,.txt,.hex,.pal,.json"
+                      onChange={(e) => { if (e.target.files?.[0]) importPaletteFile(e.target.files[0]); e.target.value = ''; }}
+                      style={{ display: 'none' }}
+                    />
+                  </div>
                   <div style={{ display: 'flex', gap: 8, marginBottom: 10, flexWrap: 'wrap' }}>
                     <button
                       onClick={applyBaseSet}
                       title="Enable only the Base set colours"
-                      disabled={lockPalette}
-                      style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: lockPalette ? 'not-allowed' : 'pointer', fontSize: '13px', flex: '1', minWidth: '80px' }}
+                      disabled={lockPalette || !activePalette.baseSet}
+                      style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: lockPalette || !activePalette.baseSet ? 'not-allowed' : 'pointer', fontSize: '13px', flex: '1', minWidth: '80px' }}
                     >
                       Base set
                     </button>
@@ -938,14 +3264,23 @@ export default function App() {
                     >
                       Full set
                     </button>
+                    <button
+                      onClick={() => setReplaceFrom(replaceFrom === null ? Math.max(0, paletteEnabled.indexOf(true)) : null)}
+                      title="Replace every pixel of one colour with another (or right-click a colour)"
+                      disabled={lockPalette}
+                      style={{ background: replaceFrom !== null ? '#2a2a2a' : '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: lockPalette ? 'not-allowed' : 'pointer', fontSize: '13px', flex: '1', minWidth: '80px' }}
+                    >
+                      Replace…
+                    </button>
                   </div>
                   <div className="palette-grid" style={{ display: 'grid', gridTemplateColumns: 'repeat(12, 1fr)', gap: 6 }}>
-                    {PALETTE.map((hex, i) => {
+                    {activePalette.colors.map(({ hex, name }, i) => {
                       const enabled = paletteEnabled[i];
                       return (
                         <div key={hex + i}
                           onClick={() => toggleColour(i)}
-                          title={`${hex} ${enabled ? '(enabled)' : '(disabled)'}`}
+                          onContextMenu={(e) => { e.preventDefault(); if (!lockPalette) setReplaceFrom(i); }}
+                          title={`${name ? `${name} ` : ''}${hex} ${enabled ? '(enabled)' : '(disabled)'} – right-click to replace all with…`}
                           style={{
                             position: 'relative',
                             width: 22,
@@ -961,14 +3296,623 @@ export default function App() {
                       );
                     })}
                   </div>
+                  {replaceFrom !== null && activePalette.colors[replaceFrom] && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 8, fontSize: 13, flexWrap: 'wrap' }}>
+                      <span>Replace all</span>
+                      <span style={{ width: 18, height: 18, borderRadius: 4, border: '1px solid #2a2a2a', background: activePalette.colors[replaceFrom].hex }} />
+                      <select
+                        value={replaceFrom}
+                        onChange={(e) => setReplaceFrom(Number(e.target.value))}
+                        style={{ flex: 1, minWidth: 0, background: '#1a1a1a', border: '1px solid #2a2a2a', color: '#EAEAEA', borderRadius: 10, padding: '6px 8px' }}
+                      >
+                        {activePalette.colors.map((c, j) => <option key={c.hex + j} value={j}>{c.name ? `${c.name} ${c.hex}` : c.hex}</option>)}
+                      </select>
+                      <span>with</span>
+                      <select
+                        value=""
+                        onChange={(e) => { addRemapRule(activePalette.colors[replaceFrom].hex, e.target.value); setReplaceFrom(null); }}
+                        style={{ flex: 1, minWidth: 0, background: '#1a1a1a', border: '1px solid #2a2a2a', color: '#EAEAEA', borderRadius: 10, padding: '6px 8px' }}
+                      >
+                        <option value="" disabled>Choose a colour…</option>
+                        {activePalette.colors.map((c, j) => j !== replaceFrom && <option key={c.hex + j} value={c.hex}>{c.name ? `${c.name} ${c.hex}` : c.hex}</option>)}
+                      </select>
+                      <button
+                        onClick={() => setReplaceFrom(null)}
+                        style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 8, color: '#EAEAEA', cursor: 'pointer', padding: '6px 10px', fontSize: 12 }}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                  {canEditPalette && (
+                    <div style={{ marginTop: 10 }}>
+                      <div style={{ maxHeight: 160, overflowY: 'auto', display: 'grid', gap: 4, marginBottom: 8 }}>
+                        {activePalette.colors.map(({ hex, name }, i) => (
+                          <div key={hex + i} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12 }}>
+                            <span style={{ width: 14, height: 14, borderRadius: 4, border: '1px solid #2a2a2a', background: hex, flex: 'none' }} />
+                            <span style={{ fontFamily: 'monospace' }}>{hex}</span>
+                            <span style={{ color: '#A8A8A8', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{name || ''}</span>
+                            <button
+                              onClick={() => removeColour(i)}
+                              title="Remove colour"
+                              disabled={activePalette.colors.length <= 1}
+                              style={{ background: 'transparent', border: 'none', color: '#A8A8A8', cursor: 'pointer', fontSize: 14, lineHeight: 1 }}
+                            >
+                              ×
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                      <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr auto', gap: 8 }}>
+                        <input
+                          type="text"
+                          value={newColourHex}
+                          onChange={(e) => setNewColourHex(e.target.value)}
+                          onKeyDown={(e) => { if (e.key === 'Enter') addColour(); }}
+                          placeholder="#RRGGBB"
+                          style={{ width: '100%', background: '#1a1a1a', border: '1px solid #2a2a2a', color: '#EAEAEA', borderRadius: 10, padding: '8px 10px', fontSize: '13px', minWidth: 0, fontFamily: 'monospace' }}
+                        />
+                        <input
+                          type="text"
+                          value={newColourName}
+                          onChange={(e) => setNewColourName(e.target.value)}
+                          onKeyDown={(e) => { if (e.key === 'Enter') addColour(); }}
+                          placeholder="Name (optional)"
+                          style={{ width: '100%', background: '#1a1a1a', border: '1px solid #2a2a2a', color: '#EAEAEA', borderRadius: 10, padding: '8px 10px', fontSize: '13px', minWidth: 0 }}
+                        />
+                        <button
+                          onClick={addColour}
+                          title="Add colour to this palette"
+                          style={{ background: '#1f1f1f', border: '1px solid #2a2a2a', borderRadius: 10, color: '#EAEAEA', padding: '8px 12px', cursor: 'pointer', fontSize: '13px' }}
+                        >
+                          Add
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                  {isBuiltinPalette(activePalette.id) && (
+                    <div style={{ marginTop: 8, color: '#A8A8A8', fontSize: 12 }}>
+                      Presets are read-only. Duplicate one to add or remove colours.
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Optimise palette */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ fontWeight: 600, marginBottom: 8 }}>Optimise palette</div>
+              <div style={{ color: "#A8A8A8", fontSize: 12, marginBottom: 8 }}>
+                Pick the colours of {activePalette.name} that match the source best. Click colours to always keep them.
+              </div>
+              <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, marginBottom: 8 }} title="Leave colours you have turned off out of the result">
+                <input type="checkbox" checked={optimiseFromEnabled} onChange={(e) => setOptimiseFromEnabled(e.target.checked)} />
+                Only from enabled colours
+              </label>
+              <label style={{ display: "block", fontSize: 13, marginBottom: 8 }}>
+                Colours to use
+                <input
+                  type="number"
+                  min={1}
+                  max={palette.length}
+                  value={optimiseCount}
+                  onChange={(e) => setOptimiseCount(clamp(parseInt(e.target.value, 10) || 1, 1, palette.length))}
+                  style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6, boxSizing: "border-box" }}
+                />
+              </label>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(12, 1fr)", gap: 6, marginBottom: 10 }}>
+                {activePalette.colors.map(({ hex, name }, i) => {
+                  const kept = keepHexes.includes(hex);
+                  const dimmed = optimisePreview && !optimisePreview.enabled[i];
+                  return (
+                    <div
+                      key={hex + i}
+                      onClick={() => toggleKeepColour(hex)}
+                      title={`${name ? `${name} ` : ""}${hex}${kept ? " (always kept)" : ""}`}
+                      style={{
+                        width: 22,
+                        height: 22,
+                        borderRadius: 6,
+                        border: "1px solid #2a2a2a",
+                        background: hex,
+                        cursor: "pointer",
+                        opacity: dimmed ? 0.25 : 1,
+                        boxShadow: kept ? "0 0 0 2px #EAEAEA" : "none"
+                      }}
+                    />
+                  );
+                })}
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button
+                  onClick={previewOptimisedPalette}
+                  disabled={lockPalette || !hasSource || optimising}
+                  title="Work out the best colours and show the result on the stage"
+                  style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: lockPalette || !hasSource || optimising ? "not-allowed" : "pointer", fontSize: "13px", flex: 1 }}
+                >
+                  {optimising ? "Optimising…" : "Preview"}
+                </button>
+                {optimisePreview && (
+                  <>
+                    <button
+                      onClick={applyOptimisedPalette}
+                      title="Enable exactly these colours"
+                      style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", fontSize: "13px", flex: 1 }}
+                    >
+                      Apply
+                    </button>
+                    <button
+                      onClick={() => setOptimisePreview(null)}
+                      style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", fontSize: "13px", flex: 1 }}
+                    >
+                      Cancel
+                    </button>
+                  </>
+                )}
+              </div>
+              {optimisePreview && (
+                <div style={{ marginTop: 8, fontSize: 13 }}>
+                  Previewing {optimisePreview.chosen.length} colours · mean error{" "}
+                  <span style={{ fontFamily: "monospace" }}>{optimisePreview.error.toFixed(2)}</span>
+                  <span style={{ color: "#A8A8A8" }}> (now {enabledIndices.length} colours: <span style={{ fontFamily: "monospace" }}>{optimisePreview.currentError.toFixed(2)}</span>)</span>
+                </div>
+              )}
+              {lockPalette && (
+                <div style={{ marginTop: 8, color: "#A8A8A8", fontSize: 12 }}>Unlock colour conversion to change which colours are enabled.</div>
+              )}
+              {!hasSource && !lockPalette && (
+                <div style={{ marginTop: 8, color: "#A8A8A8", fontSize: 12 }}>Optimising needs the source image.</div>
+              )}
+            </div>
+
+            {/* Remap rules */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                <div style={{ fontWeight: 600 }}>Remap colours</div>
+                <button
+                  onClick={() => setRemapRules(prev => [...prev, { from: palette[0], to: palette[Math.min(1, palette.length - 1)] }])}
+                  disabled={lockPalette}
+                  style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: lockPalette ? "not-allowed" : "pointer", padding: "6px 10px", fontSize: 12 }}
+                >
+                  Add rule
+                </button>
+              </div>
+              <div style={{ color: "#A8A8A8", fontSize: 12, marginBottom: 8 }}>
+                Everything matched to the first colour becomes the second. Rules run top to bottom; right-click a palette swatch to add one.
+              </div>
+              <div style={{ display: "grid", gap: 6 }}>
+                {remapRules.map((rule, k) => {
+                  const colourSelect = (value, onChange) => (
+                    <select
+                      value={value}
+                      onChange={(e) => onChange(e.target.value)}
+                      disabled={lockPalette}
+                      style={{ flex: 1, minWidth: 0, background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 8, padding: "4px 6px", fontSize: 12 }}
+                    >
+                      {!palette.includes(value) && <option value={value}>{value} (not in palette)</option>}
+                      {activePalette.colors.map((c, j) => <option key={c.hex + j} value={c.hex}>{c.name ? `${c.name} ${c.hex}` : c.hex}</option>)}
+                    </select>
+                  );
+                  const small = { background: "transparent", border: "none", color: "#A8A8A8", cursor: lockPalette ? "not-allowed" : "pointer", fontSize: 13, lineHeight: 1, padding: "0 2px" };
+                  return (
+                    <div key={k} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12 }}>
+                      <span style={{ width: 14, height: 14, borderRadius: 4, border: "1px solid #2a2a2a", background: rule.from, flex: "none" }} />
+                      {colourSelect(rule.from, (from) => updateRemapRule(k, { from }))}
+                      <span>→</span>
+                      <span style={{ width: 14, height: 14, borderRadius: 4, border: "1px solid #2a2a2a", background: rule.to, flex: "none" }} />
+                      {colourSelect(rule.to, (to) => updateRemapRule(k, { to }))}
+                      <span style={{ fontFamily: "monospace", color: "#A8A8A8", minWidth: 44, textAlign: "right" }} title="Pixels this rule changes">{remapCounts[k]} px</span>
+                      <button onClick={() => moveRemapRule(k, -1)} disabled={k === 0} title="Move up" style={small}>↑</button>
+                      <button onClick={() => moveRemapRule(k, 1)} disabled={k === remapRules.length - 1} title="Move down" style={small}>↓</button>
+                      <button onClick={() => removeRemapRule(k)} title="Remove rule" style={{ ...small, fontSize: 14 }}>×</button>
+                    </div>
+                  );
+                })}
+              </div>
+              {!remapRules.length && <div style={{ color: "#A8A8A8", fontSize: 12 }}>No rules.</div>}
+            </div>
+
+            {/* Pixel editing */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                <div style={{ fontWeight: 600 }}>Edit pixels</div>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <button
+                    onClick={undoEdit}
+                    disabled={!editHistory.undo.length}
+                    title="Undo (Ctrl+Z)"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: editHistory.undo.length ? "pointer" : "not-allowed", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Undo
+                  </button>
+                  <button
+                    onClick={redoEdit}
+                    disabled={!editHistory.redo.length}
+                    title="Redo (Ctrl+Y)"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: editHistory.redo.length ? "pointer" : "not-allowed", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Redo
+                  </button>
+                </div>
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 6 }}>
+                {EDIT_TOOLS.map(t => (
+                  <button
+                    key={t.id}
+                    onClick={() => setTool(t.id)}
+                    title={`${t.label} (${t.key})`}
+                    style={{ background: tool === t.id ? "#2a2a2a" : "#1f1f1f", border: `1px solid ${tool === t.id ? "#3a3a3a" : "#2a2a2a"}`, borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 4px", fontSize: 12 }}
+                  >
+                    {t.label}
+                  </button>
+                ))}
+              </div>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 10, fontSize: 13 }}>
+                <span style={{ width: 18, height: 18, borderRadius: 4, border: "1px solid #2a2a2a", background: brushHex }} />
+                <span style={{ fontFamily: "monospace" }}>{brushHex}</span>
+                {!grid.colors.some(c => c.hex === brushHex) && <span style={{ color: "#A8A8A8", fontSize: 12 }}>not in palette</span>}
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 8 }}>
+                {grid.colors.map((c, i) => (
+                  <button
+                    key={i}
+                    onClick={() => { setBrushHex(c.hex); if (tool === "pan" || tool === "eraser" || tool === "picker") setTool("pencil"); }}
+                    title={c.name ? `${c.hex} ${c.name}` : c.hex}
+                    style={{ width: 18, height: 18, padding: 0, borderRadius: 4, background: c.hex, cursor: "pointer", border: c.hex === brushHex ? "2px solid #FFFFFF" : "1px solid #2a2a2a" }}
+                  />
+                ))}
+              </div>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginTop: 10, fontSize: 12, color: "#A8A8A8" }}>
+                <span>
+                  {editCount} edited pixel{editCount === 1 ? "" : "s"} · hold Space to pan
+                  {!canEditLayer && ` · layer "${activeLayer.name}" is ${activeLayer.locked ? "locked" : "hidden"}`}
+                </span>
+                <button
+                  onClick={clearEdits}
+                  disabled={!editCount}
+                  title="Remove all manual edits (can be undone)"
+                  style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: editCount ? "pointer" : "not-allowed", padding: "6px 10px", fontSize: 12 }}
+                >
+                  Clear edits
+                </button>
+              </div>
+            </div>
+
+            {/* Material list */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                <div style={{ fontWeight: 600 }}>{live ? "Remaining" : "Materials"}</div>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <button
+                    onClick={() => exportMaterials("csv")}
+                    title="Download the colour counts as CSV"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    CSV
+                  </button>
+                  <button
+                    onClick={() => exportMaterials("text")}
+                    title="Download the colour counts as plain text"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Text
+                  </button>
+                </div>
+              </div>
+              <div style={{ maxHeight: 180, overflowY: "auto", display: "grid", gap: 2 }}>
+                {materials.rows.map(row => {
+                  const active = row.index === highlightColour;
+                  return (
+                    <div
+                      key={row.index}
+                      onClick={() => setHighlightColour(active ? null : row.index)}
+                      title={active ? "Click to clear the highlight" : "Click to highlight these pixels"}
+                      style={{
+                        display: "grid",
+                        gridTemplateColumns: "16px 1fr auto auto",
+                        alignItems: "center",
+                        gap: 8,
+                        padding: "3px 6px",
+                        borderRadius: 6,
+                        fontSize: 12,
+                        cursor: "pointer",
+                        background: active ? "#2a2a2a" : "transparent"
+                      }}
+                    >
+                      <span style={{ width: 14, height: 14, borderRadius: 4, border: "1px solid #2a2a2a", background: row.hex }} />
+                      <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                        <span style={{ fontFamily: "monospace" }}>{row.hex}</span>
+                        {row.name && <span style={{ color: "#A8A8A8" }}> {row.name}</span>}
+                      </span>
+                      <span style={{ fontFamily: "monospace" }}>{row.count}</span>
+                      <span style={{ fontFamily: "monospace", color: "#A8A8A8", minWidth: 48, textAlign: "right" }}>{row.percent.toFixed(1)}%</span>
+                    </div>
+                  );
+                })}
+              </div>
+              <div style={{ marginTop: 6, color: "#A8A8A8", fontSize: 12 }}>
+                {live
+                  ? `${materials.total} pixels still to fix in ${materials.rows.length} colours`
+                  : `${materials.total} pixels in ${materials.rows.length} colours${materials.empty ? ` · ${materials.empty} empty` : ""}`}
+              </div>
+            </div>
+
+            {/* Guided placement */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                <div style={{ fontWeight: 600 }}>Guided placement</div>
+                <button
+                  onClick={() => setGuideActive(v => !v)}
+                  title={guideActive ? "Stop guided placement" : "Walk through the plan pixel by pixel"}
+                  style={{ background: guideActive ? "#2a2a2a" : "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                >
+                  {guideActive ? "Stop" : "Start"}
+                </button>
+              </div>
+              <label style={{ display: "block", fontSize: 13 }}>
+                Order
+                <select
+                  value={guideOrder}
+                  onChange={(e) => setGuideOrder(e.target.value)}
+                  style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6 }}
+                >
+                  {PLACEMENT_ORDERS.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                </select>
+              </label>
+              {guideActive && (
+                <>
+                  <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 10, fontFamily: "monospace", fontSize: 14 }}>
+                    {guide.current >= 0 ? (
+                      <>
+                        <span style={{ width: 18, height: 18, borderRadius: 4, border: "1px solid #2a2a2a", background: cellHex(guide.current) }} />
+                        <span>
+                          ({originX + (guide.current % gridW)}, {originY + Math.floor(guide.current / gridW)})
+                          {coordSystem === "tile" && ` ${formatTile(originX + (guide.current % gridW), originY + Math.floor(guide.current / gridW))}`}
+                        </span>
+                        <span>{cellHex(guide.current)}</span>
+                      </>
+                    ) : (
+                      <span style={{ fontFamily: "inherit" }}>All pixels placed</span>
+                    )}
+                  </div>
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginTop: 10 }}>
+                    <button
+                      onClick={undoPlaced}
+                      disabled={!progress.placed.length}
+                      title="Step back to the previous pixel"
+                      style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: progress.placed.length ? "pointer" : "not-allowed", fontSize: "13px" }}
+                    >
+                      Undo
+                    </button>
+                    <button
+                      onClick={markPlaced}
+                      disabled={guide.current < 0}
+                      title="Mark this pixel as placed and go to the next one"
+                      style={{ background: "#2a2a2a", border: "1px solid #3a3a3a", borderRadius: 10, color: "#FFFFFF", padding: "8px 12px", cursor: guide.current >= 0 ? "pointer" : "not-allowed", fontSize: "13px", fontWeight: 600 }}
+                    >
+                      Placed
+                    </button>
+                  </div>
+                  <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginTop: 6, color: "#A8A8A8", fontSize: 12 }}>
+                    <span>
+                      {guide.done}/{guide.total} placed ({guide.total ? ((guide.done / guide.total) * 100).toFixed(1) : "0.0"}%)
+                    </span>
+                    <button
+                      onClick={resetProgress}
+                      disabled={!progress.placed.length}
+                      style={{ background: "transparent", border: "none", color: "#A8A8A8", cursor: "pointer", fontSize: 12, textDecoration: "underline" }}
+                    >
+                      Reset
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* Assignments */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                <div style={{ fontWeight: 600 }}>Assignments</div>
+                <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: "#A8A8A8" }}>
+                  <input type="checkbox" checked={showAssignment} onChange={(e) => setShowAssignment(e.target.checked)} />
+                  Show areas
+                </label>
+              </div>
+              <label style={{ display: "block", fontSize: 13 }}>
+                Split
+                <select
+                  value={assignment.mode}
+                  onChange={(e) => { setAssignment(a => ({ ...a, mode: e.target.value })); setAssignDrawTo(null); }}
+                  style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6 }}
+                >
+                  {ASSIGN_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </label>
+              <div style={{ color: "#A8A8A8", fontSize: 12, marginTop: 6 }}>
+                {assignment.mode === "manual"
+                  ? "Pick Draw for a member, then drag over the stage. Where rectangles overlap the last one wins."
+                  : "Every member gets the same number of pixels."}
+              </div>
+              <div style={{ display: "grid", gap: 6, marginTop: 10 }}>
+                {assignment.members.map((m, k) => {
+                  const small = { background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 6, color: "#EAEAEA", cursor: owner ? "pointer" : "not-allowed", padding: "3px 6px", fontSize: 11 };
+                  return (
+                    <div key={m.id} style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6, fontSize: 12 }}>
+                      <span style={{ width: 14, height: 14, borderRadius: 4, border: "1px solid #2a2a2a", background: memberTint(k), flex: "none" }} />
+                      <span
+                        onDoubleClick={() => renameMemberPrompt(m)}
+                        title="Double-click to rename"
+                        style={{ flex: "1 1 80px", minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+                      >
+                        {m.name}
+                      </span>
+                      <span style={{ fontFamily: "monospace", color: "#A8A8A8" }}>{memberCounts[k] || 0} px</span>
+                      {assignment.mode === "manual" && (
+                        <>
+                          <button
+                            onClick={() => setAssignDrawTo(assignDrawTo === m.id ? null : m.id)}
+                            title={`Drag on the stage to give ${m.name} an area`}
+                            style={{ ...small, cursor: "pointer", background: assignDrawTo === m.id ? "#2a2a2a" : "#1f1f1f" }}
+                          >
+                            Draw
+                          </button>
+                          <button onClick={() => clearMemberRects(m)} title={`Remove ${m.name}'s rectangles`} style={{ ...small, cursor: "pointer" }}>Clear</button>
+                        </>
+                      )}
+                      <button onClick={() => exportMemberCoords(k)} disabled={!owner} title="Download their pixel coordinates (CSV)" style={small}>Coords</button>
+                      <button onClick={() => exportMemberCounts(k)} disabled={!owner} title="Download their colour counts (CSV)" style={small}>Counts</button>
+                      <button onClick={() => shareMemberPart(k)} disabled={!owner} title="Copy a link that opens only their part" style={small}>Link</button>
+                      <button
+                        onClick={() => removeMember(m)}
+                        title="Remove member"
+                        style={{ background: "transparent", border: "none", color: "#A8A8A8", cursor: "pointer", fontSize: 14, lineHeight: 1, padding: "0 2px" }}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+              {owner && (
+                <div style={{ color: "#A8A8A8", fontSize: 12, marginTop: 6 }}>
+                  {unassignedCount} pixel{unassignedCount === 1 ? "" : "s"} unassigned
                 </div>
               )}
+              <div style={{ display: "flex", gap: 6, marginTop: 10 }}>
+                <input
+                  value={newMemberName}
+                  onChange={(e) => setNewMemberName(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === "Enter") addMember(); }}
+                  placeholder="Member name"
+                  style={{ flex: 1, minWidth: 0, background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "6px 10px" }}
+                />
+                <button
+                  onClick={addMember}
+                  disabled={!newMemberName.trim() || assignment.members.length >= MAX_MEMBERS}
+                  style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: newMemberName.trim() ? "pointer" : "not-allowed", padding: "6px 10px", fontSize: 12 }}
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+
+            {/* Compare with the live canvas */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                <div style={{ fontWeight: 600 }}>Compare with canvas</div>
+                {screenshot && (
+                  <button
+                    onClick={() => setScreenshot(null)}
+                    title="Stop comparing"
+                    style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <button
+                onClick={() => screenshotFileRef.current?.click()}
+                disabled={!gridW}
+                title="Load a screenshot or crop of the target area on the live canvas"
+                style={{ width: "100%", background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: gridW ? "pointer" : "not-allowed", fontSize: "13px" }}
+              >
+                {screenshot ? `Screenshot: ${screenshot.name}` : "Load screenshot…"}
+              </button>
+              <input
+                ref={screenshotFileRef}
+                type="file"
+                accept="image/*"
+                onChange={(e) => { if (e.target.files?.[0]) loadScreenshot(e.target.files[0]); e.target.value = ""; }}
+                style={{ display: "none" }}
+              />
+              {screenshot && (
+                <>
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8, marginTop: 10 }}>
+                    <label style={{ fontSize: 13 }} title="Canvas X of the screenshot's top-left pixel">
+                      Left X
+                      <input
+                        type="number"
+                        value={shotOrigin.x}
+                        onChange={(e) => setShotOrigin(o => ({ ...o, x: parseInt(e.target.value, 10) || 0 }))}
+                        style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6, boxSizing: "border-box" }}
+                      />
+                    </label>
+                    <label style={{ fontSize: 13 }} title="Canvas Y of the screenshot's top-left pixel">
+                      Top Y
+                      <input
+                        type="number"
+                        value={shotOrigin.y}
+                        onChange={(e) => setShotOrigin(o => ({ ...o, y: parseInt(e.target.value, 10) || 0 }))}
+                        style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6, boxSizing: "border-box" }}
+                      />
+                    </label>
+                    <label style={{ fontSize: 13 }} title="Screenshot pixels per canvas pixel">
+                      Scale
+                      <input
+                        type="number"
+                        min="0.1"
+                        step="0.01"
+                        value={shotScale}
+                        onChange={(e) => { const v = parseFloat(e.target.value); if (v > 0) setShotScale(v); }}
+                        style={{ width: "100%", background: "#1a1a1a", border: "1px solid #2a2a2a", color: "#EAEAEA", borderRadius: 10, padding: "8px 10px", marginTop: 6, boxSizing: "border-box" }}
+                      />
+                    </label>
+                  </div>
+                  <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, marginTop: 10, fontSize: 13 }}>
+                    <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                      <input type="checkbox" checked={showMismatches} onChange={(e) => setShowMismatches(e.target.checked)} />
+                      Mark mismatches
+                    </label>
+                    <button
+                      onClick={fitScreenshot}
+                      title="Align the screenshot to the starting coordinates and fit its width to the plan"
+                      style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12 }}
+                    >
+                      Fit to plan
+                    </button>
+                  </div>
+                  {live && (
+                    <div style={{ marginTop: 8, color: "#A8A8A8", fontSize: 12 }}>
+                      {materials.total} of {planFilled} pixels still differ
+                      {live.uncovered ? ` · ${live.uncovered} outside the screenshot` : ""}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            {/* Export */}
+            <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
+              <div style={{ fontWeight: 600, marginBottom: 8 }}>Export</div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+                <button onClick={downloadPng} title="1:1 PNG, empty cells transparent" style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", fontSize: "13px" }}>PNG 1:1</button>
+                <button onClick={downloadTemplatePng} title={`PNG at the current zoom, rounded (${templateScale}× per pixel)`} style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", fontSize: "13px" }}>PNG template ×{templateScale}</button>
+                <button onClick={downloadSvg} title="SVG with one square per pixel" style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", fontSize: "13px" }}>SVG</button>
+                <button onClick={downloadTemplateBundle} title="PNG and origin in the template JSON format used by overlay tools" style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", fontSize: "13px" }}>Template JSON</button>
+                <button onClick={() => downloadCoords("json")} title="List of { x, y, hex } with absolute coordinates" style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", fontSize: "13px" }}>Pixels JSON</button>
+                <button onClick={() => downloadCoords("csv")} title="x,y,hex rows with absolute coordinates" style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", fontSize: "13px" }}>Pixels CSV</button>
+              </div>
+              <div style={{ display: "flex", gap: 12, marginTop: 10, fontSize: 13 }}>
+                <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <input type="checkbox" checked={exportGridLines} onChange={(e) => setExportGridLines(e.target.checked)} />
+                  Grid lines
+                </label>
+                <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <input type="checkbox" checked={exportRulers} onChange={(e) => setExportRulers(e.target.checked)} />
+                  Rulers
+                </label>
+              </div>
+              <div style={{ marginTop: 6, color: "#A8A8A8", fontSize: 12 }}>
+                Grid lines and rulers apply to the scaled template{templateScale < 4 ? " (grid lines need zoom 4 or more)" : ""}.
+                {templateScale < zoomScale ? ` The template is limited to ×${templateScale} so the browser can draw it.` : ""}
+                {live ? " Only pixels that still differ from the canvas are exported." : ""}
+              </div>
             </div>
 
             {/* Share / Import */}
             <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12 }}>
               <div style={{ fontWeight: 600, marginBottom: 8 }}>Share / Import</div>
-              <div className="share-buttons" style={{ display: "grid", gridTemplateColumns: "1fr auto auto", gap: 8 }}>
+              <div className="share-buttons" style={{ display: "grid", gridTemplateColumns: "1fr auto auto auto", gap: 8 }}>
                 <input
                   type="text"
                   value={shareCode}
@@ -983,6 +3927,13 @@ export default function App() {
                 >
                   Export
                 </button>
+                <button
+                  onClick={copyLink}
+                  title="Copy a link that opens this plan"
+                  style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 10, color: "#EAEAEA", padding: "8px 12px", cursor: "pointer", whiteSpace: "nowrap", fontSize: "13px" }}
+                >
+                  Copy link
+                </button>
                 <button
                   onClick={applySettings}
                   title="Apply the code to update settings"
@@ -991,15 +3942,33 @@ export default function App() {
                   Apply
                 </button>
               </div>
+              <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 8, fontSize: 13 }}>
+                <input type="checkbox" checked={shareIncludesGrid} onChange={(e) => setShareIncludesGrid(e.target.checked)} />
+                Include the pixel grid (no source image needed)
+              </label>
               <div style={{ marginTop: 6, color: "#A8A8A8", fontSize: 12 }}>
-                Exports a compact, versioned code for pixels across, starting coordinates and zoom.
+                Exports a versioned code for the settings, palette and colour options.
               </div>
+              {gridFromCode && (
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, marginTop: 8, fontSize: 12, color: "#FFB000" }}>
+                  <span>Showing the pixel grid from a share code; image settings have no effect.</span>
+                  {img && (
+                    <button
+                      onClick={() => { if (confirmDiscardEdits()) setGridFromCode(false); }}
+                      title="Quantize the loaded image again"
+                      style={{ background: "#1f1f1f", border: "1px solid #2a2a2a", borderRadius: 8, color: "#EAEAEA", cursor: "pointer", padding: "6px 10px", fontSize: 12, whiteSpace: "nowrap" }}
+                    >
+                      Use image
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         )}
 
         {/* Stage - only shown when image is uploaded */}
-        {img && (
+        {(img || gridFromCode) && (
           <div style={{ background: "#121212", border: "1px solid #1f1f1f", borderRadius: 14, padding: 12, overflow: "hidden", position: "relative" }}>
             <div>
               {/* Zoom controls */}
@@ -1058,6 +4027,7 @@ export default function App() {
 
               {/* Image container */}
               <div
+                ref={stageBoxRef}
                 style={{
                   overflow: "auto",
                   maxHeight: "70vh",
@@ -1068,18 +4038,22 @@ export default function App() {
                 }}
               >
                 <div
+                  ref={stageRef}
                   className="stage"
                   style={{
                     position: "relative",
                     width: gridW * zoom,
                     height: gridH * zoom,
                     transform: `translate(${dragOffset.x}px, ${dragOffset.y}px)`,
-                    cursor: isDragging ? "grabbing" : "grab"
+                    margin: showRulers ? `${RULER_SIZE + 24}px 0 0 ${RULER_SIZE}px` : 0,
+                    cursor: isDragging ? "grabbing" : (tool === "pan" || spaceHeld ? "grab" : "crosshair"),
+                    touchAction: "none"
                   }}
-                  onMouseMove={onMouseMove}
-                  onMouseLeave={onMouseLeave}
-                  onMouseDown={onMouseDown}
-                  onMouseUp={onMouseUp}
+                  onPointerMove={onPointerMove}
+                  onPointerLeave={onPointerLeave}
+                  onPointerDown={onPointerDown}
+                  onPointerUp={onPointerUp}
+                  onPointerCancel={onPointerUp}
                 >
                   {/* Base canvas rendered at 1:1 and scaled with CSS for crisp pixels */}
                   <canvas
@@ -1087,9 +4061,32 @@ export default function App() {
                     style={{
                       imageRendering: "pixelated",
                       width: gridW * zoom,
-                      height: gridH * zoom
+                      height: gridH * zoom,
+                      // Checkerboard (one square per cell) shows through empty cells
+                      background: "repeating-conic-gradient(#2a2a2a 0% 25%, #1a1a1a 0% 50%)",
+                      backgroundSize: `${zoom * 2}px ${zoom * 2}px`
                     }}
                   />
+                  {/* Source colours (split / onion skin) or the ΔE heatmap over the plan */}
+                  {viewMode !== "plan" && hasSource && (
+                    <canvas
+                      ref={compareCanvasRef}
+                      style={{
+                        position: "absolute",
+                        inset: 0,
+                        width: gridW * zoom,
+                        height: gridH * zoom,
+                        imageRendering: "pixelated",
+                        pointerEvents: "none",
+                        opacity: viewMode === "onion" ? onionOpacity / 100 : 1,
+                        clipPath: viewMode === "split" ? `inset(0 ${100 - splitPos}% 0 0)` : "none",
+                        background: viewMode === "heatmap" ? "#0b0b0b" : "transparent"
+                      }}
+                    />
+                  )}
+                  {viewMode === "split" && hasSource && (
+                    <div style={{ position: "absolute", top: 0, bottom: 0, left: `${splitPos}%`, width: 2, marginLeft: -1, background: "#EAEAEA", boxShadow: "0 0 4px rgba(0,0,0,0.8)", pointerEvents: "none" }} />
+                  )}
                   {/* Overlay for crosshair & border */}
                   <canvas
                     ref={overlayRef}
@@ -1114,11 +4111,29 @@ export default function App() {
                         boxShadow: "0 2px 8px rgba(0,0,0,0.4)"
                       }}
                     >
-                      ({(Number(genesisX) || 0) + hover.x}, {(Number(genesisY) || 0) + hover.y}){gridW && gridH ? ` ${gridColors[hover.y * gridW + hover.x]}` : ""}
+                      ({originX + hover.x}, {originY + hover.y}) · {formatTile(originX + hover.x, originY + hover.y)}{gridW && gridH ? ` ${cellHex(hover.y * gridW + hover.x) || "empty"}` : ""}
+                      {(() => {
+                        const li = activeIndex(hover.y * gridW + hover.x);
+                        return li >= 0 && remapped[li] !== grid.cells[li] ? ` (remapped from ${grid.colors[grid.cells[li]].hex})` : "";
+                      })()}
+                      {layerNameAt(hover.y * gridW + hover.x) ? ` · layer ${layerNameAt(hover.y * gridW + hover.x)}` : ""}
+                      {owner && owner[hover.y * gridW + hover.x] !== UNASSIGNED ? ` · ${assignment.members[owner[hover.y * gridW + hover.x]].name}` : ""}
+                      {live && targetCells[hover.y * gridW + hover.x] !== EMPTY ? ` · canvas ${liveHex(hover.y * gridW + hover.x) || "empty"}` : ""}
+                      {(() => {
+                        const src = sourceAt(hover.y * gridW + hover.x);
+                        return src ? ` · source ${src.hex}${src.deltaE === null ? "" : ` ΔE ${src.deltaE.toFixed(1)}`}` : "";
+                      })()}
                     </div>
                   )}
+                  {/* Rulers (outside the stage box, so they pan with it) */}
+                  {showRulers && (
+                    <>
+                      <canvas ref={rulerTopRef} style={{ position: "absolute", top: -RULER_SIZE, left: 0, pointerEvents: "none" }} />
+                      <canvas ref={rulerLeftRef} style={{ position: "absolute", top: 0, left: -RULER_SIZE, pointerEvents: "none" }} />
+                    </>
+                  )}
                   {/* Size label */}
-                  <div style={{ position: "absolute", top: -24, left: 0, fontSize: "clamp(10px, 2.5vw, 12px)", opacity: 0.7, fontFamily: "monospace" }}>
+                  <div style={{ position: "absolute", top: showRulers ? -24 - RULER_SIZE : -24, left: 0, fontSize: "clamp(10px, 2.5vw, 12px)", opacity: 0.7, fontFamily: "monospace" }}>
                     W {gridW} × H {gridH} px (Zoom: {zoom}x)
                   </div>
                 </div>
@@ -1128,9 +4143,9 @@ export default function App() {
         )}
 
         {/* Footer - only shown when image is uploaded */}
-        {img && (
+        {(img || gridFromCode) && (
           <footer style={{ color: "#A8A8A8", fontSize: "clamp(10px, 2.5vw, 12px)", marginTop: 12, textAlign: "center", padding: "0 8px" }}>
-            Tip: hover to see neon crosshairs and per-pixel coordinates (adjusted by your starting offset). Click and drag to pan the image.
+            Tip: hover (or tap) to see neon crosshairs and per-pixel coordinates (adjusted by your starting offset). Drag to pan; scroll or pinch to zoom around the pointer.
           </footer>
         )}
       </div>
@@ -0,0 +1,128 @@
+// adjust.js
+// Colour adjustments applied to the resampled grid colours before palette matching.
+// Order: brightness, contrast, gamma (one lookup table), saturation and hue
+// (one 3×3 matrix), sharpen, posterize. Alpha is left alone.
+
+export const DEFAULT_ADJUSTMENTS = {
+  brightness: 0,  // -100..100
+  contrast: 0,    // -100..100
+  saturation: 0,  // -100..100
+  gamma: 1,       // 0.2..5
+  hue: 0,         // degrees, -180..180
+  sharpen: 0,     // 0..100 %
+  posterize: 0,   // levels per channel, 0 = off, else 2..32
+};
+
+export const ADJUSTMENT_CONTROLS = [
+  { id: "brightness", label: "Brightness", min: -100, max: 100, step: 1 },
+  { id: "contrast", label: "Contrast", min: -100, max: 100, step: 1 },
+  { id: "saturation", label: "Saturation", min: -100, max: 100, step: 1 },
+  { id: "gamma", label: "Gamma", min: 0.2, max: 5, step: 0.05 },
+  { id: "hue", label: "Hue shift", min: -180, max: 180, step: 1, unit: "°" },
+  { id: "sharpen", label: "Sharpen", min: 0, max: 100, step: 1, unit: "%" },
+  // `off` is the value that turns it off, outside the slider's range
+  { id: "posterize", label: "Posterize", min: 2, max: 32, step: 1, off: 0 },
+];
+
+export function isNeutral(adj) {
+  return !adj || ADJUSTMENT_CONTROLS.every(c => adj[c.id] === DEFAULT_ADJUSTMENTS[c.id]);
+}
+
+/** Validate saved or shared adjustments field by field */
+export function normalizeAdjustments(adj) {
+  const out = { ...DEFAULT_ADJUSTMENTS };
+  if (!adj || typeof adj !== "object") return out;
+  ADJUSTMENT_CONTROLS.forEach(({ id, min, max, off }) => {
+    const v = adj[id];
+    if (typeof v === "number" && Number.isFinite(v)) out[id] = v === off ? off : Math.max(min, Math.min(max, v));
+  });
+  return out;
+}
+
+function toneTable({ brightness, contrast, gamma }) {
+  const c = contrast * 2.55;
+  const factor = (259 * (c + 255)) / (255 * (259 - c));
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    let x = v + brightness * 2.55;
+    x = factor * (x - 128) + 128;
+    x = 255 * Math.pow(Math.max(0, Math.min(255, x)) / 255, 1 / gamma);
+    lut[v] = Math.round(x);
+  }
+  return lut;
+}
+
+// Saturation then hue rotation around the luminance axis (as CSS saturate() / hue-rotate())
+function colourMatrix({ saturation, hue }) {
+  const s = 1 + saturation / 100;
+  const sat = [
+    0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+  ];
+  const a = (hue * Math.PI) / 180, cos = Math.cos(a), sin = Math.sin(a);
+  const rot = [
+    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+  ];
+  const m = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      m[r * 3 + c] = rot[r * 3] * sat[c] + rot[r * 3 + 1] * sat[3 + c] + rot[r * 3 + 2] * sat[6 + c];
+    }
+  }
+  return m;
+}
+
+/**
+ * Apply adjustments to RGBA pixels.
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {object} adj see DEFAULT_ADJUSTMENTS
+ * @returns {Uint8ClampedArray} a new buffer (the input when nothing changes)
+ */
+export function adjustPixels(data, width, height, adj) {
+  if (isNeutral(adj)) return data;
+  const lut = toneTable(adj);
+  const m = colourMatrix(adj);
+  const useMatrix = adj.saturation !== 0 || adj.hue !== 0;
+  let out = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const r = lut[data[i]], g = lut[data[i + 1]], b = lut[data[i + 2]];
+    if (useMatrix) {
+      out[i] = m[0] * r + m[1] * g + m[2] * b;
+      out[i + 1] = m[3] * r + m[4] * g + m[5] * b;
+      out[i + 2] = m[6] * r + m[7] * g + m[8] * b;
+    } else {
+      out[i] = r; out[i + 1] = g; out[i + 2] = b;
+    }
+    out[i + 3] = data[i + 3];
+  }
+
+  // Sharpen: centre weighted against its four neighbours (edges reuse the centre)
+  if (adj.sharpen > 0) {
+    const k = adj.sharpen / 100;
+    const src = out;
+    out = new Uint8ClampedArray(src);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const up = y > 0 ? i - width * 4 : i, down = y < height - 1 ? i + width * 4 : i;
+        const left = x > 0 ? i - 4 : i, right = x < width - 1 ? i + 4 : i;
+        for (let c = 0; c < 3; c++) {
+          out[i + c] = src[i + c] * (1 + 4 * k) - k * (src[up + c] + src[down + c] + src[left + c] + src[right + c]);
+        }
+      }
+    }
+  }
+
+  if (adj.posterize >= 2) {
+    const step = 255 / (adj.posterize - 1);
+    for (let i = 0; i < out.length; i += 4) {
+      for (let c = 0; c < 3; c++) out[i + c] = Math.round(out[i + c] / step) * step;
+    }
+  }
+  return out;
+}
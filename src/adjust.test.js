@@ -0,0 +1,34 @@
+import { ADJUSTMENT_CONTROLS, DEFAULT_ADJUSTMENTS, adjustPixels, isNeutral, normalizeAdjustments } from './adjust';
+
+// A 4 × 4 ramp of colours with varying alpha
+const data = Uint8ClampedArray.from({ length: 64 }, (_, i) => (i % 4 === 3 ? 255 - i : (i * 37) % 256));
+
+test('neutral adjustments hand back the input', () => {
+  expect(isNeutral(DEFAULT_ADJUSTMENTS)).toBe(true);
+  expect(adjustPixels(data, 4, 4, DEFAULT_ADJUSTMENTS)).toBe(data);
+});
+
+test('each adjustment at (next to) its neutral value leaves pixels alone', () => {
+  ADJUSTMENT_CONTROLS.filter(c => c.off === undefined).forEach(({ id }) => {
+    const adj = { ...DEFAULT_ADJUSTMENTS, [id]: DEFAULT_ADJUSTMENTS[id] + 1e-6 };
+    expect(isNeutral(adj)).toBe(false);
+    expect(Array.from(adjustPixels(data, 4, 4, adj))).toEqual(Array.from(data));
+  });
+});
+
+test('adjustments change colours but never alpha', () => {
+  const alpha = (buf) => Array.from(buf).filter((_, i) => i % 4 === 3);
+  const bright = adjustPixels(data, 4, 4, { ...DEFAULT_ADJUSTMENTS, brightness: 100 });
+  expect(Array.from(bright).filter((_, i) => i % 4 !== 3).every(v => v === 255)).toBe(true);
+  const grey = adjustPixels(data, 4, 4, { ...DEFAULT_ADJUSTMENTS, saturation: -100 });
+  for (let i = 0; i < grey.length; i += 4) expect(Math.max(grey[i], grey[i + 1], grey[i + 2]) - Math.min(grey[i], grey[i + 1], grey[i + 2])).toBeLessThanOrEqual(1);
+  const poster = adjustPixels(data, 4, 4, { ...DEFAULT_ADJUSTMENTS, posterize: 2 });
+  expect(Array.from(poster).filter((_, i) => i % 4 !== 3).every(v => v === 0 || v === 255)).toBe(true);
+  [bright, grey, poster].forEach(out => expect(alpha(out)).toEqual(alpha(data)));
+});
+
+test('saved adjustments are clamped and posterize keeps its off state', () => {
+  expect(normalizeAdjustments({ brightness: 500, gamma: 'x', posterize: 0 })).toEqual({ ...DEFAULT_ADJUSTMENTS, brightness: 100 });
+  expect(normalizeAdjustments({ posterize: 1 }).posterize).toBe(2);
+  expect(normalizeAdjustments(null)).toEqual(DEFAULT_ADJUSTMENTS);
+});
@@ -0,0 +1,117 @@
+// assign.js
+// Splitting a plan among the members of a group. Every non-empty cell gets an
+// owner: by rectangles drawn by hand, or automatically in equal shares – strips
+// (runs of rows), tiles (columns cut into runs of rows) or by colour (cells
+// grouped by colour, then read row by row). Automatic shares are equal to a
+// pixel, so a boundary can fall part way along a row.
+
+import { EMPTY } from "./dither";
+
+// Owner of a cell nobody has: empty, or outside every rectangle
+export const UNASSIGNED = 255;
+export const MAX_MEMBERS = 64;
+
+export const ASSIGN_MODES = [
+  { id: "manual", label: "Rectangles" },
+  { id: "strips", label: "Strips" },
+  { id: "tiles", label: "Tiles" },
+  { id: "colour", label: "By colour" },
+];
+
+// Overlay tints, reused round the list
+export const MEMBER_TINTS = [
+  "#FF5252", "#40C4FF", "#69F0AE", "#FFD740", "#E040FB", "#FF6E40",
+  "#64FFDA", "#B2FF59", "#536DFE", "#FF4081", "#18FFFF", "#EEFF41",
+];
+
+// members: [{ id, name }]; rects: [{ member: id, x, y, w, h }] in plan cells, later ones on top
+export const DEFAULT_ASSIGNMENT = { members: [], mode: "strips", rects: [] };
+
+export function newMemberId() {
+  return `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Validate a saved assignment, dropping malformed members and rectangles of unknown members */
+export function normalizeAssignment(a) {
+  if (!a || typeof a !== "object") return DEFAULT_ASSIGNMENT;
+  const members = (Array.isArray(a.members) ? a.members : [])
+    .filter(m => m && typeof m.id === "string" && typeof m.name === "string")
+    .slice(0, MAX_MEMBERS)
+    .map(m => ({ id: m.id, name: m.name }));
+  const ids = new Set(members.map(m => m.id));
+  const int = (v) => Math.max(0, Math.round(Number(v) || 0));
+  const rects = (Array.isArray(a.rects) ? a.rects : [])
+    .filter(r => r && ids.has(r.member))
+    .map(r => ({ member: r.member, x: int(r.x), y: int(r.y), w: Math.max(1, int(r.w)), h: Math.max(1, int(r.h)) }));
+  return { members, mode: ASSIGN_MODES.some(m => m.id === a.mode) ? a.mode : DEFAULT_ASSIGNMENT.mode, rects };
+}
+
+// Hand out `order` (cell indices) in equal consecutive shares to members first .. first + count - 1
+function splitEvenly(order, owner, first, count) {
+  const n = order.length;
+  for (let j = 0; j < n; j++) owner[order[j]] = first + Math.floor((j * count) / n);
+}
+
+/**
+ * Owner of every cell.
+ * @param {Uint8Array} cells the plan
+ * @param {{ members: object[], mode: string, rects: object[] }} assignment
+ * @returns {Uint8Array} member index per cell, or UNASSIGNED
+ */
+export function assignCells(cells, W, H, { members, mode, rects }) {
+  const M = members.length;
+  const owner = new Uint8Array(W * H).fill(UNASSIGNED);
+  if (!M) return owner;
+
+  if (mode === "manual") {
+    const index = new Map(members.map((m, k) => [m.id, k]));
+    rects.forEach(r => {
+      const k = index.get(r.member);
+      if (k === undefined) return;
+      for (let y = r.y; y < Math.min(H, r.y + r.h); y++) {
+        for (let x = r.x; x < Math.min(W, r.x + r.w); x++) {
+          if (cells[y * W + x] !== EMPTY) owner[y * W + x] = k;
+        }
+      }
+    });
+    return owner;
+  }
+
+  const filled = [];
+  for (let i = 0; i < W * H; i++) if (cells[i] !== EMPTY) filled.push(i);
+
+  if (mode === "colour") {
+    // Stable, so each colour stays in reading order
+    filled.sort((a, b) => cells[a] - cells[b]);
+    splitEvenly(filled, owner, 0, M);
+  } else if (mode === "tiles") {
+    // Columns of roughly square tiles; each column gets a share for every member in it
+    const cols = Math.max(1, Math.min(M, Math.round(Math.sqrt((M * W) / Math.max(1, H)))));
+    const byColumn = [...filled].sort((a, b) => (a % W) - (b % W) || a - b);
+    const n = byColumn.length;
+    let first = 0;
+    for (let c = 0; c < cols; c++) {
+      const count = Math.floor(M / cols) + (c < M % cols ? 1 : 0);
+      const group = byColumn.slice(Math.floor((n * first) / M), Math.floor((n * (first + count)) / M));
+      splitEvenly(group.sort((a, b) => a - b), owner, first, count);
+      first += count;
+    }
+  } else {
+    splitEvenly(filled, owner, 0, M);
+  }
+  return owner;
+}
+
+/** The plan with every cell but member k's emptied */
+export function memberCells(cells, owner, k) {
+  const out = new Uint8Array(cells.length).fill(EMPTY);
+  for (let i = 0; i < cells.length; i++) if (owner[i] === k) out[i] = cells[i];
+  return out;
+}
+
+/** Cells per member */
+export function ownerCounts(owner, memberCount) {
+  const counts = new Array(memberCount).fill(0);
+  for (let i = 0; i < owner.length; i++) if (owner[i] !== UNASSIGNED) counts[owner[i]]++;
+  return counts;
+}
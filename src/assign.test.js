@@ -0,0 +1,34 @@
+import { EMPTY } from './dither';
+import { UNASSIGNED, assignCells, memberCells, normalizeAssignment, ownerCounts } from './assign';
+
+const members = [{ id: 'a', name: 'Ann' }, { id: 'b', name: 'Bo' }, { id: 'c', name: 'Cy' }];
+
+test('automatic splits give every member the same number of pixels', () => {
+  const W = 7, H = 5;
+  const cells = new Uint8Array(W * H).map((_, i) => (i % 6 === 0 ? EMPTY : i % 3));
+  const filled = cells.filter(c => c !== EMPTY).length;
+  ['strips', 'tiles', 'colour'].forEach(mode => {
+    const owner = assignCells(cells, W, H, { members, mode, rects: [] });
+    const counts = ownerCounts(owner, members.length);
+    expect(counts.reduce((a, b) => a + b)).toBe(filled);
+    expect(Math.max(...counts) - Math.min(...counts)).toBeLessThanOrEqual(1);
+    expect(Array.from(owner).filter((o, i) => cells[i] === EMPTY && o !== UNASSIGNED)).toEqual([]);
+  });
+  // By colour, the first member gets the lowest colour first
+  const owner = assignCells(cells, W, H, { members, mode: 'colour', rects: [] });
+  expect(owner[3]).toBe(0);
+});
+
+test('later rectangles win and a member sees only their cells', () => {
+  const cells = Uint8Array.from([1, 1, 1, 1]);
+  const rects = [{ member: 'a', x: 0, y: 0, w: 2, h: 2 }, { member: 'b', x: 1, y: 0, w: 5, h: 1 }];
+  const owner = assignCells(cells, 2, 2, { members, mode: 'manual', rects });
+  expect(Array.from(owner)).toEqual([0, 1, 0, 0]);
+  expect(Array.from(memberCells(cells, owner, 1))).toEqual([EMPTY, 1, EMPTY, EMPTY]);
+});
+
+test('saved assignments drop rectangles of unknown members', () => {
+  const a = normalizeAssignment({ members, mode: 'nope', rects: [{ member: 'z', x: 0, y: 0, w: 1, h: 1 }, { member: 'a', x: -3, y: 1.4, w: 0, h: 2 }] });
+  expect(a.mode).toBe('strips');
+  expect(a.rects).toEqual([{ member: 'a', x: 0, y: 1, w: 1, h: 2 }]);
+});
@@ -0,0 +1,135 @@
+// color.js
+// Colour conversions and colour-difference metrics used for palette matching.
+
+function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+
+export function hexToRgb(hex) {
+  let h = hex.replace("#", "").trim();
+  if (h.length === 3) h = h.split("").map(c => c + c).join("");
+  const num = parseInt(h, 16);
+  return { r: (num >> 16) & 255, g: (num >> 8) & 255, b: num & 255 };
+}
+export function rgbToHex({ r, g, b }) {
+  const toHex = (n) => n.toString(16).padStart(2, "0");
+  return `#${toHex(clamp(Math.round(r), 0, 255))}${toHex(clamp(Math.round(g), 0, 255))}${toHex(clamp(Math.round(b), 0, 255))}`.toUpperCase();
+}
+
+// sRGB → linear
+function srgbToLinear(c) { c /= 255; return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4); }
+// RGB → XYZ (D65)
+function rgbToXyz({ r, g, b }) {
+  const R = srgbToLinear(r), G = srgbToLinear(g), B = srgbToLinear(b);
+  return {
+    x: 0.4124564 * R + 0.3575761 * G + 0.1804375 * B,
+    y: 0.2126729 * R + 0.7151522 * G + 0.0721750 * B,
+    z: 0.0193339 * R + 0.1191920 * G + 0.9503041 * B,
+  };
+}
+// XYZ → Lab (D65)
+function xyzToLab({ x, y, z }) {
+  const xr = x / 0.95047, yr = y / 1.0, zr = z / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (841 / 108) * t + 4 / 29);
+  const fx = f(xr), fy = f(yr), fz = f(zr);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+export function rgbToLab(rgb) { return xyzToLab(rgbToXyz(rgb)); }
+
+// RGB → OKLab (Björn Ottosson, 2020)
+export function rgbToOklab({ r, g, b }) {
+  const R = srgbToLinear(r), G = srgbToLinear(g), B = srgbToLinear(b);
+  const l = Math.cbrt(0.4122214708 * R + 0.5363325363 * G + 0.0514459929 * B);
+  const m = Math.cbrt(0.2119034982 * R + 0.6806995451 * G + 0.1073969566 * B);
+  const s = Math.cbrt(0.0883024619 * R + 0.2817188376 * G + 0.6299787005 * B);
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  };
+}
+
+// ----------------- Distances -----------------
+// CIE76: plain Euclidean distance in Lab (also used for OKLab)
+export function labDistance(l1, l2) {
+  const dL = l1.L - l2.L, da = l1.a - l2.a, db = l1.b - l2.b;
+  return Math.sqrt(dL * dL + da * da + db * db);
+}
+
+// CIE94 (graphic arts weights). Not symmetric: l1 is the reference (source) colour.
+export function cie94Distance(l1, l2) {
+  const C1 = Math.hypot(l1.a, l1.b), C2 = Math.hypot(l2.a, l2.b);
+  const dL = l1.L - l2.L, dC = C1 - C2;
+  const da = l1.a - l2.a, db = l1.b - l2.b;
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const SC = 1 + 0.045 * C1, SH = 1 + 0.015 * C1;
+  return Math.sqrt(dL * dL + (dC / SC) ** 2 + dH2 / (SH * SH));
+}
+
+// CIEDE2000 (Sharma, Wu & Dalal reference implementation, kL = kC = kH = 1)
+export function ciede2000Distance(l1, l2) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(l1.a, l1.b), C2 = Math.hypot(l2.a, l2.b);
+  const Cbar7 = ((C1 + C2) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+  const a1 = (1 + G) * l1.a, a2 = (1 + G) * l2.a;
+  const C1p = Math.hypot(a1, l1.b), C2p = Math.hypot(a2, l2.b);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1 = hue(l1.b, a1), h2 = hue(l2.b, a2);
+
+  const dL = l2.L - l1.L;
+  const dC = C2p - C1p;
+  let dh = 0;
+  if (C1p * C2p !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(C1p * C2p) * Math.sin((dh / 2) * rad);
+
+  const Lbar = (l1.L + l2.L) / 2;
+  const Cbar = (C1p + C2p) / 2;
+  let hbar = h1 + h2;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1 - h2) > 180) hbar += h1 + h2 < 360 ? 360 : -360;
+    hbar /= 2;
+  }
+  const T = 1
+    - 0.17 * Math.cos((hbar - 30) * rad)
+    + 0.24 * Math.cos(2 * hbar * rad)
+    + 0.32 * Math.cos((3 * hbar + 6) * rad)
+    - 0.20 * Math.cos((4 * hbar - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbar - 275) / 25) ** 2));
+  const Cbar7p = Cbar ** 7;
+  const RC = 2 * Math.sqrt(Cbar7p / (Cbar7p + 25 ** 7));
+  const SL = 1 + (0.015 * (Lbar - 50) ** 2) / Math.sqrt(20 + (Lbar - 50) ** 2);
+  const SC = 1 + 0.045 * Cbar;
+  const SH = 1 + 0.015 * Cbar * T;
+  const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+  const tL = dL / SL, tC = dC / SC, tH = dH / SH;
+  return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
+}
+
+// Weighted RGB ("redmean") – cheap approximation that beats plain RGB Euclidean
+export function redmeanDistance(c1, c2) {
+  const rm = (c1.r + c2.r) / 2;
+  const dr = c1.r - c2.r, dg = c1.g - c2.g, db = c1.b - c2.b;
+  return Math.sqrt((2 + rm / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rm) / 256) * db * db);
+}
+
+// Selectable metrics: `convert` maps an {r,g,b} into the space `distance` works in.
+const identity = (rgb) => rgb;
+export const COLOR_METRICS = [
+  { id: "cie76", label: "CIE76 (Lab)", convert: rgbToLab, distance: labDistance },
+  { id: "cie94", label: "CIE94", convert: rgbToLab, distance: cie94Distance },
+  { id: "ciede2000", label: "CIEDE2000", convert: rgbToLab, distance: ciede2000Distance },
+  { id: "oklab", label: "OKLab", convert: rgbToOklab, distance: labDistance },
+  { id: "redmean", label: "Weighted RGB (redmean)", convert: identity, distance: redmeanDistance },
+];
+
+export function getColorMetric(id) {
+  return COLOR_METRICS.find(m => m.id === id) || COLOR_METRICS[0];
+}
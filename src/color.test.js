@@ -0,0 +1,43 @@
+import {
+  ciede2000Distance, cie94Distance, getColorMetric, hexToRgb, labDistance, redmeanDistance, rgbToHex, rgbToLab, rgbToOklab
+} from './color';
+
+const close = (actual, expected, digits) => Object.keys(expected).forEach(k => expect(actual[k]).toBeCloseTo(expected[k], digits));
+
+test('hex round trip', () => {
+  expect(hexToRgb('#0af')).toEqual({ r: 0, g: 170, b: 255 });
+  expect(rgbToHex({ r: 300, g: 15.4, b: -2 })).toBe('#FF0F00');
+});
+
+test('Lab and OKLab match published values', () => {
+  close(rgbToLab({ r: 255, g: 0, b: 0 }), { L: 53.2408, a: 80.0925, b: 67.2032 }, 2);
+  close(rgbToLab({ r: 255, g: 255, b: 255 }), { L: 100, a: 0, b: 0 }, 2);
+  // Björn Ottosson's sRGB primaries
+  close(rgbToOklab({ r: 255, g: 0, b: 0 }), { L: 0.62796, a: 0.22486, b: 0.12585 }, 3);
+  close(rgbToOklab({ r: 0, g: 255, b: 0 }), { L: 0.86644, a: -0.23389, b: 0.17950 }, 3);
+  close(rgbToOklab({ r: 0, g: 0, b: 255 }), { L: 0.45201, a: -0.03246, b: -0.31153 }, 3);
+  close(rgbToOklab({ r: 255, g: 255, b: 255 }), { L: 1, a: 0, b: 0 }, 3);
+});
+
+test('Lab distances match the Sharma test data', () => {
+  const p = { L: 50, a: 2.6772, b: -79.7751 }, q = { L: 50, a: 0, b: -82.7485 };
+  expect(labDistance(p, q)).toBeCloseTo(4.0011, 3);
+  expect(cie94Distance(p, q)).toBeCloseTo(1.3950, 3);
+  expect(ciede2000Distance(p, q)).toBeCloseTo(2.0425, 3);
+  expect(ciede2000Distance({ L: 50, a: 0, b: 0 }, { L: 50, a: -1, b: 2 })).toBeCloseTo(2.3669, 3);
+  expect(ciede2000Distance({ L: 2.0776, a: 0.0795, b: -1.135 }, { L: 0.9033, a: -0.0636, b: -0.5514 })).toBeCloseTo(0.9082, 3);
+});
+
+test('redmean weighs red and blue by the mean red', () => {
+  const black = { r: 0, g: 0, b: 0 }, white = { r: 255, g: 255, b: 255 };
+  expect(redmeanDistance(black, white)).toBeCloseTo(764.834, 2);
+  expect(redmeanDistance(black, { r: 255, g: 0, b: 0 })).toBeCloseTo(403.02, 1);
+  // Blue counts for more where there is little red
+  expect(redmeanDistance(black, { r: 0, g: 0, b: 255 })).toBeCloseTo(441.39, 1);
+  expect(redmeanDistance(white, white)).toBe(0);
+});
+
+test('unknown metrics fall back to CIE76', () => {
+  expect(getColorMetric('nope').id).toBe('cie76');
+  expect(getColorMetric('oklab').distance).toBe(labDistance);
+});
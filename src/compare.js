@@ -0,0 +1,47 @@
+// compare.js
+// Compare the plan with a screenshot of the live canvas.
+// The screenshot is aligned in canvas coordinates: its top-left pixel shows
+// canvas pixel (originX, originY) and every canvas pixel is `scale` screenshot
+// pixels wide. Each plan cell is sampled at the centre of its screenshot area
+// and snapped to the palette.
+
+import { EMPTY } from "./dither";
+
+/**
+ * Snap the screenshot area under each plan cell to a palette index.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} shot screenshot pixels
+ * @param {{ W: number, H: number, genesisX: number, genesisY: number, originX: number, originY: number, scale: number, alphaThreshold: number }} opts
+ * @param {(rgb: { r: number, g: number, b: number }) => number} nearest palette matcher
+ * @returns {{ cells: Uint8Array, uncovered: number }} EMPTY where the canvas is transparent or the screenshot doesn't reach
+ */
+export function snapScreenshot(shot, opts, nearest) {
+  const { W, H, genesisX, genesisY, originX, originY, scale, alphaThreshold } = opts;
+  const cells = new Uint8Array(W * H).fill(EMPTY);
+  let uncovered = 0;
+  for (let y = 0; y < H; y++) {
+    const sy = Math.floor((genesisY + y - originY + 0.5) * scale);
+    for (let x = 0; x < W; x++) {
+      const sx = Math.floor((genesisX + x - originX + 0.5) * scale);
+      if (sx < 0 || sy < 0 || sx >= shot.width || sy >= shot.height) { uncovered++; continue; }
+      const j = (sy * shot.width + sx) * 4;
+      if (shot.data[j + 3] < alphaThreshold) continue;
+      cells[y * W + x] = nearest({ r: shot.data[j], g: shot.data[j + 1], b: shot.data[j + 2] });
+    }
+  }
+  return { cells, uncovered };
+}
+
+/**
+ * Cells of the plan that still differ from the live canvas. Empty plan cells
+ * are never reported.
+ * @param {Uint8Array} planCells
+ * @param {Uint8Array} liveCells from snapScreenshot
+ * @returns {Uint8Array} the plan's colour where a fix is needed, EMPTY elsewhere
+ */
+export function remainingCells(planCells, liveCells) {
+  const out = new Uint8Array(planCells.length).fill(EMPTY);
+  for (let i = 0; i < planCells.length; i++) {
+    if (planCells[i] !== EMPTY && planCells[i] !== liveCells[i]) out[i] = planCells[i];
+  }
+  return out;
+}
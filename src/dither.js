@@ -0,0 +1,133 @@
+// dither.js
+// Palette quantization with optional dithering.
+// All modes work on the raw RGBA buffer of the downsampled image and call back
+// into `nearest(rgb)` (which returns a palette index) so that only the enabled
+// colours are ever chosen or used to compute diffusion error.
+// Cells whose alpha is below the threshold come out as EMPTY and take no part
+// in error diffusion.
+
+// Grid cells are stored as palette indices in a Uint8Array; 255 marks an empty cell
+export const EMPTY = 255;
+
+export const DITHER_MODES = [
+  { id: "none", label: "None" },
+  { id: "floyd-steinberg", label: "Floyd–Steinberg" },
+  { id: "atkinson", label: "Atkinson" },
+  { id: "sierra", label: "Sierra" },
+  { id: "bayer2", label: "Bayer 2×2" },
+  { id: "bayer4", label: "Bayer 4×4" },
+  { id: "bayer8", label: "Bayer 8×8" },
+];
+
+// Error diffusion kernels: [dx, dy, weight], weights are divided by `div`.
+export const KERNELS = {
+  "floyd-steinberg": {
+    div: 16,
+    taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]],
+  },
+  // Atkinson only diffuses 6/8 of the error, which keeps highlights crisp.
+  atkinson: {
+    div: 8,
+    taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]],
+  },
+  sierra: {
+    div: 32,
+    taps: [
+      [1, 0, 5], [2, 0, 3],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+      [-1, 2, 2], [0, 2, 3], [1, 2, 2],
+    ],
+  },
+};
+
+// Recursive Bayer matrix of size n (power of two), values 0..n*n-1
+function bayerMatrix(n) {
+  if (n === 1) return [[0]];
+  const half = bayerMatrix(n / 2);
+  const m = [];
+  for (let y = 0; y < n; y++) {
+    m.push(new Array(n));
+    for (let x = 0; x < n; x++) {
+      const base = 4 * half[y % (n / 2)][x % (n / 2)];
+      const quad = (y < n / 2 ? 0 : 2) + (x < n / 2 ? 0 : 1);
+      m[y][x] = base + [0, 2, 3, 1][quad];
+    }
+  }
+  return m;
+}
+const BAYER_SIZES = { bayer2: 2, bayer4: 4, bayer8: 8 };
+// Max +/- offset (in 0..255 channel units) applied by ordered dithering at 100% strength
+const BAYER_SPREAD = 64;
+
+function clampByte(v) { return v < 0 ? 0 : v > 255 ? 255 : v; }
+
+/**
+ * Quantize an RGBA buffer of size W×H to palette indices.
+ * @param {Uint8ClampedArray} data RGBA pixels
+ * @param {number} W
+ * @param {number} H
+ * @param {{ mode: string, strength: number, nearest: (rgb: {r:number,g:number,b:number}) => number, paletteRGB: {r:number,g:number,b:number}[], alphaThreshold?: number }} opts
+ *   strength is 0..1, alphaThreshold is 0..255 (cells with alpha below it are EMPTY)
+ * @returns {Uint8Array} palette index (or EMPTY) per cell (row-major)
+ */
+export function quantizePixels(data, W, H, { mode, strength, nearest, paletteRGB, alphaThreshold = 0 }) {
+  const out = new Uint8Array(W * H);
+  const s = Math.max(0, Math.min(1, Number(strength) || 0));
+  const isEmpty = (i) => data[i * 4 + 3] < alphaThreshold;
+
+  const kernel = KERNELS[mode];
+  if (kernel && s > 0) {
+    // Work on a float copy so error can accumulate beyond 0..255 between steps
+    const buf = new Float32Array(W * H * 3);
+    for (let i = 0, j = 0; i < W * H; i++, j += 4) {
+      buf[i * 3] = data[j]; buf[i * 3 + 1] = data[j + 1]; buf[i * 3 + 2] = data[j + 2];
+    }
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) {
+        if (isEmpty(y * W + x)) { out[y * W + x] = EMPTY; continue; }
+        const p = (y * W + x) * 3;
+        const r = clampByte(buf[p]), g = clampByte(buf[p + 1]), b = clampByte(buf[p + 2]);
+        const idx = nearest({ r, g, b });
+        out[y * W + x] = idx;
+        const c = paletteRGB[idx];
+        const er = (r - c.r) * s, eg = (g - c.g) * s, eb = (b - c.b) * s;
+        for (let t = 0; t < kernel.taps.length; t++) {
+          const [dx, dy, w] = kernel.taps[t];
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || nx >= W || ny >= H || isEmpty(ny * W + nx)) continue;
+          const q = (ny * W + nx) * 3;
+          const f = w / kernel.div;
+          buf[q] += er * f; buf[q + 1] += eg * f; buf[q + 2] += eb * f;
+        }
+      }
+    }
+    return out;
+  }
+
+  const bayerN = BAYER_SIZES[mode];
+  if (bayerN && s > 0) {
+    const m = bayerMatrix(bayerN);
+    const n2 = bayerN * bayerN;
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) {
+        if (isEmpty(y * W + x)) { out[y * W + x] = EMPTY; continue; }
+        const i = (y * W + x) * 4;
+        // Threshold in -0.5..0.5, centred so the average brightness is preserved
+        const t = (m[y % bayerN][x % bayerN] + 0.5) / n2 - 0.5;
+        const off = t * BAYER_SPREAD * 2 * s;
+        out[y * W + x] = nearest({
+          r: clampByte(data[i] + off),
+          g: clampByte(data[i + 1] + off),
+          b: clampByte(data[i + 2] + off),
+        });
+      }
+    }
+    return out;
+  }
+
+  for (let i = 0, j = 0; i < W * H; i++, j += 4) {
+    if (isEmpty(i)) { out[i] = EMPTY; continue; }
+    out[i] = nearest({ r: data[j], g: data[j + 1], b: data[j + 2] });
+  }
+  return out;
+}
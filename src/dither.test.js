@@ -0,0 +1,37 @@
+import { DITHER_MODES, EMPTY, KERNELS, quantizePixels } from './dither';
+
+const paletteRGB = [{ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }];
+const nearest = ({ r, g, b }) => (r + g + b > 382 ? 1 : 0);
+
+test('error diffusion kernels pass on all of the error', () => {
+  const share = (k) => k.taps.reduce((sum, [, , w]) => sum + w, 0) / k.div;
+  expect(share(KERNELS['floyd-steinberg'])).toBe(1);
+  expect(share(KERNELS.sierra)).toBe(1);
+  // Atkinson drops a quarter on purpose
+  expect(share(KERNELS.atkinson)).toBe(0.75);
+  // Only to pixels not yet visited
+  Object.values(KERNELS).forEach(k => k.taps.forEach(([dx, dy]) => expect(dy > 0 || dx > 0).toBe(true)));
+});
+
+test('transparent cells stay empty and take no part in dithering', () => {
+  // A checkerboard of transparent white and opaque mid-grey that quantizes to black
+  const W = 4, H = 4;
+  const data = new Uint8ClampedArray(W * H * 4);
+  for (let i = 0; i < W * H; i++) {
+    const clear = (i + Math.floor(i / W)) % 2 === 0;
+    data.set(clear ? [255, 255, 255, 0] : [100, 100, 100, 255], i * 4);
+  }
+  DITHER_MODES.forEach(({ id }) => {
+    const seen = [];
+    const out = quantizePixels(data, W, H, {
+      mode: id, strength: 1, paletteRGB, alphaThreshold: 128, nearest: (rgb) => { seen.push(rgb); return nearest(rgb); },
+    });
+    expect(seen).toHaveLength(8);
+    out.forEach((c, i) => expect(c === EMPTY).toBe(data[i * 4 + 3] === 0));
+  });
+});
+
+test('without dithering each cell takes its nearest colour', () => {
+  const data = Uint8ClampedArray.from([10, 10, 10, 255, 240, 240, 240, 255]);
+  expect(Array.from(quantizePixels(data, 2, 1, { mode: 'none', strength: 1, nearest, paletteRGB }))).toEqual([0, 1]);
+});
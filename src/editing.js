@@ -0,0 +1,131 @@
+// editing.js
+// Manual pixel edits, kept as a layer over the quantized grid.
+// The layer is an Int16Array the size of the grid: NO_EDIT leaves the quantized
+// cell alone, any other value replaces it (a palette index, or EMPTY to erase).
+
+import { EMPTY } from "./dither";
+
+export const NO_EDIT = -1;
+
+export const EDIT_TOOLS = [
+  { id: "pan", label: "Pan", key: "H" },
+  { id: "pencil", label: "Pencil", key: "B" },
+  { id: "eraser", label: "Eraser", key: "E" },
+  { id: "fill", label: "Fill", key: "G" },
+  { id: "line", label: "Line", key: "L" },
+  { id: "rect", label: "Rectangle", key: "R" },
+  { id: "picker", label: "Eyedropper", key: "I" },
+];
+
+// Oldest undo steps are dropped beyond this
+export const MAX_UNDO = 200;
+
+export function emptyLayer(size) {
+  return new Int16Array(size).fill(NO_EDIT);
+}
+
+// Quantized cells with the edit layer applied
+export function applyEdits(cells, layer) {
+  if (!layer) return cells;
+  const out = new Uint8Array(cells);
+  for (let i = 0; i < layer.length; i++) if (layer[i] !== NO_EDIT) out[i] = layer[i];
+  return out;
+}
+
+export function countEdits(layer) {
+  let n = 0;
+  if (layer) for (let i = 0; i < layer.length; i++) if (layer[i] !== NO_EDIT) n++;
+  return n;
+}
+
+// Cells on the line between two cells (Bresenham), as [x, y] pairs
+export function lineCells(x0, y0, x1, y1) {
+  const out = [];
+  const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy, x = x0, y = y0;
+  for (;;) {
+    out.push([x, y]);
+    if (x === x1 && y === y1) break;
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x += sx; }
+    if (e2 <= dx) { err += dx; y += sy; }
+  }
+  return out;
+}
+
+// Outline of the rectangle spanned by two corner cells
+export function rectCells(x0, y0, x1, y1) {
+  const left = Math.min(x0, x1), right = Math.max(x0, x1);
+  const top = Math.min(y0, y1), bottom = Math.max(y0, y1);
+  const out = [];
+  for (let x = left; x <= right; x++) {
+    out.push([x, top]);
+    if (bottom !== top) out.push([x, bottom]);
+  }
+  for (let y = top + 1; y < bottom; y++) {
+    out.push([left, y]);
+    if (right !== left) out.push([right, y]);
+  }
+  return out;
+}
+
+// 4-connected region of cells sharing the start cell's value
+export function floodRegion(cells, W, H, start) {
+  const target = cells[start];
+  const seen = new Uint8Array(W * H);
+  const stack = [start];
+  const region = [];
+  seen[start] = 1;
+  while (stack.length) {
+    const i = stack.pop();
+    region.push(i);
+    const x = i % W;
+    const next = [x > 0 ? i - 1 : -1, x < W - 1 ? i + 1 : -1, i - W, i + W];
+    for (const n of next) {
+      if (n < 0 || n >= W * H || seen[n] || cells[n] !== target) continue;
+      seen[n] = 1;
+      stack.push(n);
+    }
+  }
+  return region;
+}
+
+// Undo step: the cells that changed between two layers
+export function diffLayers(before, after) {
+  const idx = [];
+  for (let i = 0; i < after.length; i++) if (before[i] !== after[i]) idx.push(i);
+  return {
+    idx: Int32Array.from(idx),
+    before: Int16Array.from(idx, i => before[i]),
+    after: Int16Array.from(idx, i => after[i]),
+  };
+}
+
+// Apply a diff forwards (redo) or backwards (undo), returning a new layer
+export function applyDiff(layer, diff, undo) {
+  const out = new Int16Array(layer);
+  const values = undo ? diff.before : diff.after;
+  for (let k = 0; k < diff.idx.length; k++) out[diff.idx[k]] = values[k];
+  return out;
+}
+
+/**
+ * Re-point an edit layer made against one palette at another one. Edits whose
+ * colour is missing from the new palette are dropped.
+ * @returns {{ layer: Int16Array, lost: number }}
+ */
+export function remapLayer(layer, fromHex, toHex) {
+  const index = new Map();
+  toHex.forEach((hex, i) => { if (!index.has(hex)) index.set(hex, i); });
+  const map = fromHex.map(hex => (index.has(hex) ? index.get(hex) : NO_EDIT));
+  const out = new Int16Array(layer.length);
+  let lost = 0;
+  for (let i = 0; i < layer.length; i++) {
+    const v = layer[i];
+    if (v === NO_EDIT || v === EMPTY) { out[i] = v; continue; }
+    out[i] = map[v];
+    if (out[i] === NO_EDIT) lost++;
+  }
+  return { layer: out, lost };
+}
@@ -0,0 +1,53 @@
+import { EMPTY } from './dither';
+import { NO_EDIT, applyDiff, applyEdits, diffLayers, floodRegion, lineCells, rectCells, remapLayer } from './editing';
+
+test('lines cover every cell from end to end', () => {
+  expect(lineCells(2, 2, 2, 2)).toEqual([[2, 2]]);
+  expect(lineCells(0, 0, 3, 0)).toEqual([[0, 0], [1, 0], [2, 0], [3, 0]]);
+  expect(lineCells(3, 3, 0, 0)).toEqual([[3, 3], [2, 2], [1, 1], [0, 0]]);
+  // Steep lines step once per row
+  const steep = lineCells(0, 0, 1, 4);
+  expect(steep).toHaveLength(5);
+  expect(steep[4]).toEqual([1, 4]);
+  expect(steep.map(([, y]) => y)).toEqual([0, 1, 2, 3, 4]);
+});
+
+test('rectangle outlines visit each cell once', () => {
+  expect(rectCells(1, 1, 1, 1)).toEqual([[1, 1]]);
+  expect(rectCells(0, 0, 2, 0)).toEqual([[0, 0], [1, 0], [2, 0]]);
+  const box = rectCells(2, 2, 0, 0);
+  expect(box).toHaveLength(8);
+  expect(new Set(box.map(c => c.join())).size).toBe(8);
+});
+
+test('flood fill stays in its 4-connected region and does not wrap rows', () => {
+  // 3 × 3: the 1s touch only diagonally, and 0s sit at the end of one row and the start of the next
+  const cells = Uint8Array.from([
+    1, 0, 0,
+    0, 1, 0,
+    0, 0, 1,
+  ]);
+  expect(floodRegion(cells, 3, 3, 0)).toEqual([0]);
+  expect(floodRegion(cells, 3, 3, 1).sort((a, b) => a - b)).toEqual([1, 2, 5]);
+  expect(floodRegion(cells, 3, 3, 3).sort((a, b) => a - b)).toEqual([3, 6, 7]);
+  // Empty cells fill like any other value
+  expect(floodRegion(new Uint8Array(4).fill(EMPTY), 2, 2, 3)).toHaveLength(4);
+});
+
+test('edits override cells and undo restores them', () => {
+  const cells = Uint8Array.from([0, 1, 2]);
+  const before = Int16Array.from([NO_EDIT, NO_EDIT, NO_EDIT]);
+  const after = Int16Array.from([NO_EDIT, EMPTY, 0]);
+  expect(Array.from(applyEdits(cells, after))).toEqual([0, EMPTY, 0]);
+  const diff = diffLayers(before, after);
+  expect(Array.from(diff.idx)).toEqual([1, 2]);
+  expect(Array.from(applyDiff(after, diff, true))).toEqual(Array.from(before));
+  expect(Array.from(applyDiff(before, diff, false))).toEqual(Array.from(after));
+});
+
+test('edits follow their colours to a new palette', () => {
+  const layer = Int16Array.from([0, 1, EMPTY, NO_EDIT]);
+  const { layer: out, lost } = remapLayer(layer, ['#000000', '#FF0000'], ['#FF0000', '#FFFFFF']);
+  expect(Array.from(out)).toEqual([NO_EDIT, 0, EMPTY, NO_EDIT]);
+  expect(lost).toBe(1);
+});
@@ -0,0 +1,181 @@
+// exporters.js
+// Plan exports: PNG (1:1 or a scaled template with grid lines and rulers), SVG,
+// coordinate lists and a template bundle for browser overlay tools.
+// Coordinates are absolute: the plan's top-left cell sits at (originX, originY).
+
+import { hexToRgb } from "./color";
+import { EMPTY } from "./dither";
+
+/**
+ * File name stem with the image name, grid size and origin, e.g. "cat_64x48_at_1200_-35".
+ * @param {string} imageName
+ * @param {number} W
+ * @param {number} H
+ * @param {number} originX
+ * @param {number} originY
+ */
+export function exportBaseName(imageName, W, H, originX, originY) {
+  const stem = (imageName || "pixel-planner").replace(/\.[^.]+$/, "").replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "") || "pixel-planner";
+  return `${stem}_${W}x${H}_at_${originX}_${originY}`;
+}
+
+// Ruler label spacing in cells: the smallest 1/2/5 step at least `minPx` apart on screen
+export function rulerStep(scale, minPx) {
+  for (let step = 1; ; step *= 10) {
+    for (const k of [1, 2, 5]) if (step * k * scale >= minPx) return step * k;
+  }
+}
+
+// Largest canvas browsers draw reliably: iOS Safari caps the area, the others a side
+export const MAX_CANVAS_SIDE = 16384;
+export const MAX_CANVAS_AREA = 16777216;
+// Ruler margins are sized to their labels; wplace coordinates have at most 8 characters
+export const MAX_RULER_MARGIN = 120;
+const canvasFits = (w, h) => w <= MAX_CANVAS_SIDE && h <= MAX_CANVAS_SIDE && w * h <= MAX_CANVAS_AREA;
+
+/** Largest whole scale, at least 1, at which a W × H plan plus `margin` px fits on a canvas */
+export function maxCanvasScale(W, H, margin = 0) {
+  let s = Math.max(1, Math.floor((MAX_CANVAS_SIDE - margin) / Math.max(W, H, 1)));
+  while (s > 1 && !canvasFits(W * s + margin, H * s + margin)) s--;
+  return s;
+}
+
+/**
+ * Draw the plan onto a canvas.
+ * @param {Uint8Array} cells palette index per cell, EMPTY for empty
+ * @param {{ hex: string }[]} colors
+ * @param {number} W
+ * @param {number} H
+ * @param {{ scale?: number, gridLines?: boolean, rulers?: boolean, originX?: number, originY?: number }} [opts]
+ *   grid lines need a scale of at least 4; rulers label absolute coordinates
+ * @returns {HTMLCanvasElement | null} null if the canvas would be too large to draw (see maxCanvasScale)
+ */
+export function renderPlanCanvas(cells, colors, W, H, { scale = 1, gridLines = false, rulers = false, originX = 0, originY = 0 } = {}) {
+  const c = document.createElement("canvas");
+  const ctx = c.getContext("2d");
+  if (!ctx) return null;
+  // Row labels sit left of the plan, so that margin fits the widest one
+  ctx.font = "10px monospace";
+  const widest = (a, b) => Math.max(ctx.measureText(String(a)).width, ctx.measureText(String(b)).width);
+  const marginX = rulers ? Math.min(MAX_RULER_MARGIN, Math.max(36, Math.ceil(widest(originY, originY + H - 1)) + 14)) : 0;
+  const marginY = rulers ? 36 : 0;
+  if (!canvasFits(W * scale + marginX, H * scale + marginY)) return null;
+  c.width = W * scale + marginX;
+  c.height = H * scale + marginY;
+
+  // Cells, drawn 1:1 then scaled without smoothing
+  const plain = document.createElement("canvas");
+  plain.width = W; plain.height = H;
+  const pctx = plain.getContext("2d");
+  if (!pctx) return null;
+  const img = pctx.createImageData(W, H);
+  const rgb = colors.map(col => hexToRgb(col.hex));
+  for (let i = 0; i < W * H; i++) {
+    if (cells[i] === EMPTY) continue;
+    const { r, g, b } = rgb[cells[i]];
+    img.data.set([r, g, b, 255], i * 4);
+  }
+  pctx.putImageData(img, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(plain, marginX, marginY, W * scale, H * scale);
+
+  if (gridLines && scale >= 4) {
+    ctx.lineWidth = 1;
+    for (let x = 0; x <= W; x++) {
+      ctx.strokeStyle = (originX + x) % 10 === 0 ? "rgba(0,0,0,0.6)" : "rgba(0,0,0,0.25)";
+      ctx.beginPath();
+      ctx.moveTo(marginX + x * scale + 0.5, marginY);
+      ctx.lineTo(marginX + x * scale + 0.5, marginY + H * scale);
+      ctx.stroke();
+    }
+    for (let y = 0; y <= H; y++) {
+      ctx.strokeStyle = (originY + y) % 10 === 0 ? "rgba(0,0,0,0.6)" : "rgba(0,0,0,0.25)";
+      ctx.beginPath();
+      ctx.moveTo(marginX, marginY + y * scale + 0.5);
+      ctx.lineTo(marginX + W * scale, marginY + y * scale + 0.5);
+      ctx.stroke();
+    }
+  }
+
+  if (rulers) {
+    ctx.fillStyle = "#121212";
+    ctx.fillRect(0, 0, c.width, marginY);
+    ctx.fillRect(0, 0, marginX, c.height);
+    ctx.fillStyle = "#EAEAEA";
+    ctx.strokeStyle = "#A8A8A8";
+    ctx.font = "10px monospace";
+    // Column labels are centred on their cells, so they need their own width apart
+    const step = rulerStep(scale, Math.max(40, widest(originX, originX + W - 1) + 8));
+    // Ticks sit on absolute coordinates that are multiples of the step
+    const first = (origin, step) => ((step - (origin % step)) % step);
+    ctx.textAlign = "center";
+    for (let x = first(originX, step); x < W; x += step) {
+      const px = marginX + (x + 0.5) * scale;
+      ctx.fillText(String(originX + x), px, marginY - 10);
+      ctx.beginPath(); ctx.moveTo(px, marginY - 6); ctx.lineTo(px, marginY); ctx.stroke();
+    }
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let y = first(originY, step); y < H; y += step) {
+      const py = marginY + (y + 0.5) * scale;
+      ctx.fillText(String(originY + y), marginX - 8, py);
+      ctx.beginPath(); ctx.moveTo(marginX - 6, py); ctx.lineTo(marginX, py); ctx.stroke();
+    }
+  }
+  return c;
+}
+
+/** SVG with one rect per non-empty cell */
+export function planToSvg(cells, colors, W, H) {
+  const rects = [];
+  for (let i = 0; i < W * H; i++) {
+    if (cells[i] === EMPTY) continue;
+    rects.push(`<rect x="${i % W}" y="${Math.floor(i / W)}" width="1" height="1" fill="${colors[cells[i]].hex}"/>`);
+  }
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" shape-rendering="crispEdges">`,
+    ...rects,
+    "</svg>",
+  ].join("\n") + "\n";
+}
+
+/**
+ * Non-empty cells with absolute coordinates, row by row.
+ * @param {(i: number) => string} [layerAt] name of the layer a cell comes from, for plans with layers
+ * @returns {{ x: number, y: number, hex: string, layer?: string }[]}
+ */
+export function planToCoords(cells, colors, W, H, originX, originY, layerAt = null) {
+  const out = [];
+  for (let i = 0; i < W * H; i++) {
+    if (cells[i] === EMPTY) continue;
+    const entry = { x: originX + (i % W), y: originY + Math.floor(i / W), hex: colors[cells[i]].hex };
+    if (layerAt) entry.layer = layerAt(i);
+    out.push(entry);
+  }
+  return out;
+}
+
+export function coordsToCsv(coords) {
+  if (coords.some(c => c.layer !== undefined)) {
+    return ["x,y,hex,layer", ...coords.map(c => `${c.x},${c.y},${c.hex},"${String(c.layer ?? "").replace(/"/g, '""')}"`)].join("\n") + "\n";
+  }
+  return ["x,y,hex", ...coords.map(c => `${c.x},${c.y},${c.hex}`)].join("\n") + "\n";
+}
+
+/**
+ * Template bundle in the r/place Template Manager format
+ * ({ templates: [{ name, sources, x, y }] }), the PNG embedded as a data URL.
+ * @param {string} name
+ * @param {string} pngDataUrl 1:1 plan image
+ * @param {number} originX
+ * @param {number} originY
+ */
+export function templateBundle(name, pngDataUrl, originX, originY) {
+  return JSON.stringify({
+    faction: "",
+    contact: "",
+    templates: [{ name, sources: [pngDataUrl], x: originX, y: originY }],
+    whitelist: [],
+    blacklist: [],
+  }, null, 2);
+}
@@ -0,0 +1,51 @@
+import { EMPTY } from './dither';
+import { MAX_CANVAS_AREA, coordsToCsv, exportBaseName, maxCanvasScale, planToCoords, planToSvg, rulerStep } from './exporters';
+
+const colors = [{ hex: '#000000' }, { hex: '#FFFFFF' }];
+// 3 × 2, one empty cell in each row
+const cells = Uint8Array.from([0, EMPTY, 1, EMPTY, 1, 0]);
+
+test('svg has a rect per non-empty cell', () => {
+  const svg = planToSvg(cells, colors, 3, 2);
+  expect(svg).toMatch(/^<svg [^>]*width="3" height="2" viewBox="0 0 3 2"/);
+  expect(svg.match(/<rect /g)).toHaveLength(4);
+  expect(svg).toContain('<rect x="2" y="0" width="1" height="1" fill="#FFFFFF"/>');
+  expect(svg).not.toContain('x="1" y="0"');
+});
+
+test('coordinates are absolute and skip empty cells', () => {
+  expect(planToCoords(cells, colors, 3, 2, -10, 5)).toEqual([
+    { x: -10, y: 5, hex: '#000000' },
+    { x: -8, y: 5, hex: '#FFFFFF' },
+    { x: -9, y: 6, hex: '#FFFFFF' },
+    { x: -8, y: 6, hex: '#000000' },
+  ]);
+});
+
+test('csv quotes the layer column', () => {
+  const coords = planToCoords(cells, colors, 3, 2, 0, 0);
+  expect(coordsToCsv(coords)).toBe('x,y,hex\n0,0,#000000\n2,0,#FFFFFF\n1,1,#FFFFFF\n2,1,#000000\n');
+  const layered = planToCoords(cells, colors, 3, 2, 0, 0, i => (i < 3 ? 'Sky, "top"' : 'Ground'));
+  expect(coordsToCsv(layered).split('\n').slice(0, 3)).toEqual(['x,y,hex,layer', '0,0,#000000,"Sky, ""top"""', '2,0,#FFFFFF,"Sky, ""top"""']);
+});
+
+test('file names are sanitised', () => {
+  expect(exportBaseName('My cat (1).png', 64, 48, 1200, -35)).toBe('My-cat-1_64x48_at_1200_-35');
+  expect(exportBaseName('???.jpg', 1, 1, 0, 0)).toBe('pixel-planner_1x1_at_0_0');
+  expect(exportBaseName(null, 2, 3, 4, 5)).toBe('pixel-planner_2x3_at_4_5');
+});
+
+test('ruler labels are at least the given distance apart', () => {
+  expect(rulerStep(40, 40)).toBe(1);
+  expect(rulerStep(8, 40)).toBe(5);
+  expect(rulerStep(3, 40)).toBe(20);
+  expect(rulerStep(0.5, 40)).toBe(100);
+});
+
+test('template scale is capped to what a canvas can hold', () => {
+  expect(maxCanvasScale(100, 50)).toBe(57);
+  const s = maxCanvasScale(1000, 1000, 120);
+  expect(s).toBe(3);
+  expect((1000 * s + 120) ** 2).toBeLessThanOrEqual(MAX_CANVAS_AREA);
+  expect(maxCanvasScale(20000, 1)).toBe(1);
+});
@@ -0,0 +1,107 @@
+// layers.js
+// Multi-layer plans: several images, each pixelated with its own settings and
+// placed at an offset from the plan origin (the top-left of the whole plan).
+// Layers are listed bottom to top; a layer's non-empty cells cover the ones below.
+// The app works on the flattened result, which records the layer of every cell.
+
+import { EMPTY } from "./dither";
+
+// No layer covers the cell
+export const NO_LAYER = 255;
+// layerOf is a Uint8Array, and NO_LAYER is taken
+export const MAX_LAYERS = 255;
+
+// Settings that belong to a layer rather than the whole plan (see App's settingsSnapshot)
+export const LAYER_SETTING_KEYS = [
+  "pixelsAcross", "pixelsDown", "lockAspect", "fitMode", "resampleMode", "ditherMode", "ditherStrength",
+  "alphaThreshold", "colorMetric", "transform", "adjustments", "activePaletteId", "remapRules",
+];
+
+export function newLayerId() {
+  return `l-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** The layer settings out of a settings snapshot */
+export function pickLayerSettings(settings) {
+  const out = {};
+  LAYER_SETTING_KEYS.forEach(k => { if (settings[k] !== undefined) out[k] = settings[k]; });
+  return out;
+}
+
+/**
+ * Composite layers into one plan.
+ * @param {{ x: number, y: number, plan: { w: number, h: number, cells: Uint8Array, colors: { hex: string, name?: string }[] } }[]} parts
+ *   visible layers, bottom first; offsets are whole cells from the plan origin (negative ones count as 0)
+ * @returns {{ w: number, h: number, cells: Uint8Array, colors: object[], layerOf: Uint8Array }}
+ *   colors is every layer's colours once (first name wins); layerOf is the index into parts, or NO_LAYER.
+ *   Colours past the 255th have no index and their cells stay uncovered.
+ */
+export function flattenLayers(parts) {
+  let w = 0, h = 0;
+  parts.forEach(({ x, y, plan }) => {
+    if (!plan.w || !plan.h) return;
+    w = Math.max(w, Math.max(0, x) + plan.w);
+    h = Math.max(h, Math.max(0, y) + plan.h);
+  });
+  const cells = new Uint8Array(w * h).fill(EMPTY);
+  const layerOf = new Uint8Array(w * h).fill(NO_LAYER);
+  const colors = [];
+  const indexOfHex = new Map();
+  parts.forEach(({ x, y, plan }, k) => {
+    // The layer's palette indices → indices into the shared colours
+    const map = plan.colors.map(c => {
+      if (!indexOfHex.has(c.hex) && colors.length < EMPTY) {
+        indexOfHex.set(c.hex, colors.length);
+        colors.push(c);
+      }
+      return indexOfHex.has(c.hex) ? indexOfHex.get(c.hex) : EMPTY;
+    });
+    const ox = Math.max(0, x), oy = Math.max(0, y);
+    for (let ly = 0; ly < plan.h; ly++) {
+      for (let lx = 0; lx < plan.w; lx++) {
+        const c = plan.cells[ly * plan.w + lx];
+        if (c === EMPTY || map[c] === EMPTY) continue;
+        const i = (oy + ly) * w + ox + lx;
+        cells[i] = map[c];
+        layerOf[i] = k;
+      }
+    }
+  });
+  return { w, h, cells, colors, layerOf };
+}
+
+/** The boxes layers with a plan cover, visible or not */
+export function layerBoxes(layers) {
+  return layers.filter(l => l.plan).map(l => ({ x: l.x, y: l.y, w: l.plan.w, h: l.plan.h }));
+}
+
+/** Cells across and down the flattened plan needs for boxes [{ x, y, w, h }] */
+export function layersExtent(boxes) {
+  let w = 0, h = 0;
+  boxes.forEach(b => {
+    w = Math.max(w, Math.max(0, b.x) + b.w);
+    h = Math.max(h, Math.max(0, b.y) + b.h);
+  });
+  return { w, h };
+}
+
+/**
+ * The largest size up to w × h, of about the same shape, a layer at (x, y) can have
+ * while it and the `others` boxes flatten into at most `budget` cells. At least 1 × 1.
+ */
+export function fitLayerSize(others, x, y, w, h, budget) {
+  const big = Math.max(w, h);
+  const sizeAt = (s) => ({ w: Math.max(1, Math.round((w * s) / big)), h: Math.max(1, Math.round((h * s) / big)) });
+  const fits = (size) => {
+    const e = layersExtent([...others, { x, y, ...size }]);
+    return e.w * e.h <= budget;
+  };
+  if (fits({ w, h })) return { w, h };
+  let lo = 1, hi = big;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (fits(sizeAt(mid))) lo = mid;
+    else hi = mid - 1;
+  }
+  return sizeAt(lo);
+}
@@ -0,0 +1,29 @@
+import { EMPTY } from './dither';
+import { NO_LAYER, fitLayerSize, flattenLayers, layersExtent, pickLayerSettings } from './layers';
+
+const black = { hex: '#000000', name: 'Black' };
+const white = { hex: '#FFFFFF', name: 'White' };
+const red = { hex: '#FF0000', name: 'Red' };
+
+test('upper layers cover lower ones at their offsets and colours are shared', () => {
+  const base = { x: 0, y: 0, plan: { w: 2, h: 2, cells: Uint8Array.from([0, 0, 1, EMPTY]), colors: [black, white] } };
+  const top = { x: 1, y: 1, plan: { w: 2, h: 1, cells: Uint8Array.from([1, EMPTY]), colors: [red, { ...white, name: 'Other' }] } };
+  const flat = flattenLayers([base, top]);
+  expect([flat.w, flat.h]).toEqual([3, 2]);
+  expect(flat.colors).toEqual([black, white, red]);
+  expect(Array.from(flat.cells)).toEqual([0, 0, EMPTY, 1, 1, EMPTY]);
+  expect(Array.from(flat.layerOf)).toEqual([0, 0, NO_LAYER, 0, 1, NO_LAYER]);
+});
+
+test('only layer settings are picked', () => {
+  expect(pickLayerSettings({ pixelsAcross: 40, genesisX: 5, zoom: 8, remapRules: [] })).toEqual({ pixelsAcross: 40, remapRules: [] });
+});
+
+test('a layer shrinks, keeping its shape, to fit the others in the cell budget', () => {
+  const others = [{ x: 0, y: 0, w: 10, h: 10 }];
+  expect(layersExtent([...others, { x: 5, y: 8, w: 4, h: 4 }])).toEqual({ w: 10, h: 12 });
+  expect(fitLayerSize(others, 0, 0, 8, 4, 100)).toEqual({ w: 8, h: 4 });
+  // 20 × 10 beside the 10 × 10 box needs 30 × 10 cells; 200 allow 10 × 5
+  expect(fitLayerSize(others, 10, 0, 20, 10, 200)).toEqual({ w: 10, h: 5 });
+  expect(fitLayerSize(others, 50, 50, 20, 10, 100)).toEqual({ w: 1, h: 1 });
+});
@@ -0,0 +1,44 @@
+// materials.js
+// Per-colour pixel counts ("material list") for a quantized grid.
+
+import { EMPTY } from "./dither";
+
+/**
+ * Count cells per palette entry.
+ * @param {Uint8Array} cells palette index per cell, EMPTY for empty cells
+ * @param {{ hex: string, name?: string }[]} colors the palette the indices refer to
+ * @returns {{ rows: { index: number, hex: string, name: string, count: number, percent: number }[], total: number, empty: number }}
+ *   rows are sorted by count, highest first; percentages are of the non-empty total
+ */
+export function countColours(cells, colors) {
+  const counts = new Uint32Array(256);
+  for (let i = 0; i < cells.length; i++) counts[cells[i]]++;
+  const empty = counts[EMPTY];
+  const total = cells.length - empty;
+  const rows = [];
+  for (let index = 0; index < colors.length; index++) {
+    if (!counts[index]) continue;
+    const { hex, name } = colors[index];
+    rows.push({ index, hex, name: name || "", count: counts[index], percent: total ? (counts[index] / total) * 100 : 0 });
+  }
+  rows.sort((a, b) => b.count - a.count || a.index - b.index);
+  return { rows, total, empty };
+}
+
+export function materialsToCsv({ rows, total }) {
+  const quote = (s) => (/[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+  return [
+    "hex,name,count,percent",
+    ...rows.map(r => `${r.hex},${quote(r.name)},${r.count},${r.percent.toFixed(2)}`),
+    `total,,${total},100.00`,
+  ].join("\n") + "\n";
+}
+
+export function materialsToText({ rows, total }) {
+  const width = String(total).length;
+  return [
+    ...rows.map(r => `${String(r.count).padStart(width)}  ${r.hex}  ${r.percent.toFixed(1).padStart(5)}%${r.name ? `  ${r.name}` : ""}`),
+    `${"-".repeat(width)}`,
+    `${total} pixels total`,
+  ].join("\n") + "\n";
+}
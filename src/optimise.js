@@ -0,0 +1,150 @@
+// optimise.js
+// Choosing the best N colours of a palette for a picture: the subset that keeps
+// the total distance from every source pixel to its nearest chosen colour lowest.
+// Source colours are first binned (4 bits per channel, each bin at its mean
+// colour) so the search works on at most 4096 weighted colours. The search is
+// greedy from the kept colours, then single swaps while they lower the error.
+// Only the candidate colours (by default the whole palette) can be chosen, so
+// colours the user hasn't unlocked stay out.
+
+import { hexToRgb, getColorMetric } from "./color";
+
+// Swap passes after the greedy pick; each one tries every chosen × unchosen pair
+const MAX_SWAP_PASSES = 4;
+
+/**
+ * Weighted source colours.
+ * @param {Uint8ClampedArray} pixels RGBA
+ * @param {number} alphaThreshold pixels below this alpha (0..255) are ignored, as they become empty cells
+ * @returns {{ colors: { r: number, g: number, b: number }[], weights: number[], total: number }}
+ */
+export function colourHistogram(pixels, alphaThreshold = 128) {
+  const bins = new Map();
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < alphaThreshold) continue;
+    const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bin = bins.get(key);
+    if (bin) { bin.r += r; bin.g += g; bin.b += b; bin.n++; }
+    else bins.set(key, { r, g, b, n: 1 });
+  }
+  const colors = [], weights = [];
+  let total = 0;
+  bins.forEach(({ r, g, b, n }) => {
+    colors.push({ r: r / n, g: g / n, b: b / n });
+    weights.push(n);
+    total += n;
+  });
+  return { colors, weights, total };
+}
+
+// Distance from every histogram colour to every palette colour, row per histogram colour
+function distanceTable(hist, paletteHex, metricId) {
+  const metric = getColorMetric(metricId);
+  const pal = paletteHex.map(h => metric.convert(hexToRgb(h)));
+  const P = pal.length;
+  const table = new Float64Array(hist.colors.length * P);
+  hist.colors.forEach((rgb, u) => {
+    const c = metric.convert(rgb);
+    for (let p = 0; p < P; p++) table[u * P + p] = metric.distance(c, pal[p]);
+  });
+  return table;
+}
+
+// Total weighted distance with each colour matched to its nearest in `set`
+function totalError(table, weights, P, set) {
+  let sum = 0;
+  for (let u = 0; u < weights.length; u++) {
+    let best = Infinity;
+    for (const p of set) if (table[u * P + p] < best) best = table[u * P + p];
+    sum += weights[u] * best;
+  }
+  return sum;
+}
+
+/**
+ * Mean distance per source pixel when matching against the given palette indices.
+ * @param {{ colors: object[], weights: number[], total: number }} hist from colourHistogram
+ */
+export function subsetError(hist, paletteHex, indices, metricId) {
+  if (!hist.total || !indices.length) return 0;
+  return totalError(distanceTable(hist, paletteHex, metricId), hist.weights, paletteHex.length, indices) / hist.total;
+}
+
+/**
+ * Choose `n` palette colours for the histogram.
+ * @param {{ colors: object[], weights: number[], total: number }} hist from colourHistogram
+ * @param {string[]} paletteHex
+ * @param {number} n colours to choose, kept ones included
+ * @param {{ metric?: string, keep?: number[], candidates?: number[] }} [opts] keep: indices that are always
+ *   chosen; candidates: indices the rest are chosen from (all when left out)
+ * @returns {{ chosen: number[], error: number }} sorted indices and the mean distance per pixel
+ */
+export function optimisePalette(hist, paletteHex, n, { metric, keep = [], candidates } = {}) {
+  const P = paletteHex.length;
+  const U = hist.colors.length;
+  const chosen = [...new Set(keep)].filter(p => p >= 0 && p < P);
+  if (!U) return { chosen: chosen.sort((a, b) => a - b), error: 0 };
+  const pool = [...new Set(candidates || paletteHex.map((_, p) => p))].filter(p => p >= 0 && p < P && !chosen.includes(p));
+  const target = Math.max(chosen.length, Math.min(n, chosen.length + pool.length));
+  const table = distanceTable(hist, paletteHex, metric);
+  const { weights } = hist;
+
+  // Greedy: add whichever colour lowers the total most
+  const best = new Float64Array(U).fill(Infinity);
+  chosen.forEach(p => { for (let u = 0; u < U; u++) best[u] = Math.min(best[u], table[u * P + p]); });
+  while (chosen.length < target) {
+    let pick = -1, pickCost = Infinity;
+    for (const p of pool) {
+      if (chosen.includes(p)) continue;
+      let cost = 0;
+      for (let u = 0; u < U; u++) cost += weights[u] * Math.min(best[u], table[u * P + p]);
+      if (cost < pickCost) { pickCost = cost; pick = p; }
+    }
+    chosen.push(pick);
+    for (let u = 0; u < U; u++) best[u] = Math.min(best[u], table[u * P + pick]);
+  }
+
+  // Swaps: replace a chosen (not kept) colour with an unchosen one while that helps.
+  // The distances without the outgoing colour are worked out once per colour, and a
+  // candidate's sum stops as soon as it can't beat the best so far.
+  const kept = new Set(keep);
+  let cost = totalError(table, weights, P, chosen);
+  for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+    let improved = false;
+    for (let k = 0; k < chosen.length; k++) {
+      if (kept.has(chosen[k])) continue;
+      const out = chosen[k];
+      const without = new Float64Array(U);
+      for (let u = 0; u < U; u++) {
+        let d = Infinity;
+        for (const p of chosen) if (p !== out && table[u * P + p] < d) d = table[u * P + p];
+        without[u] = d;
+      }
+      let swap = -1, swapCost = cost;
+      for (const p of pool) {
+        if (chosen.includes(p)) continue;
+        let c = 0;
+        for (let u = 0; u < U && c < swapCost; u++) c += weights[u] * Math.min(without[u], table[u * P + p]);
+        if (c < swapCost - 1e-9) { swapCost = c; swap = p; }
+      }
+      if (swap >= 0) { chosen[k] = swap; cost = swapCost; improved = true; }
+    }
+    if (!improved) break;
+  }
+  return { chosen: chosen.sort((a, b) => a - b), error: cost / hist.total };
+}
+
+/**
+ * Everything the optimise action needs from the source pixels, in one call so it
+ * can run in a worker (see optimise.worker.js).
+ * @param {{ pixels: Uint8ClampedArray, alphaThreshold: number, palette: string[], n: number,
+ *   metric: string, keep: number[], candidates?: number[], current: number[] }} request
+ *   current: the enabled indices the result is compared with
+ * @returns {{ chosen: number[], error: number, currentError: number }}
+ */
+export function optimiseForSource({ pixels, alphaThreshold, palette, n, metric, keep, candidates, current }) {
+  const hist = colourHistogram(pixels, alphaThreshold);
+  const { chosen, error } = optimisePalette(hist, palette, n, { metric, keep, candidates });
+  return { chosen, error, currentError: subsetError(hist, palette, current, metric) };
+}
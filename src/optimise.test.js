@@ -0,0 +1,37 @@
+import { colourHistogram, optimisePalette, subsetError } from './optimise';
+
+const palette = ['#000000', '#FF0000', '#00FF00', '#0000FF', '#FFFFFF'];
+// Mostly red and white pixels, a little blue, one transparent pixel
+const pixels = Uint8ClampedArray.from([
+  ...Array(6).fill([255, 0, 0, 255]).flat(),
+  ...Array(4).fill([255, 255, 255, 255]).flat(),
+  0, 0, 255, 255,
+  0, 255, 0, 0,
+]);
+
+test('bins colours by weight and skips transparent pixels', () => {
+  const hist = colourHistogram(pixels, 128);
+  expect(hist.total).toBe(11);
+  expect(hist.colors).toHaveLength(3);
+});
+
+test('picks the colours that cover the most pixels', () => {
+  const hist = colourHistogram(pixels, 128);
+  const { chosen, error } = optimisePalette(hist, palette, 2, { metric: 'cie76' });
+  expect(chosen).toEqual([1, 4]);
+  expect(error).toBeCloseTo(subsetError(hist, palette, [1, 4], 'cie76'));
+  expect(optimisePalette(hist, palette, 3, { metric: 'cie76' }).chosen).toEqual([1, 3, 4]);
+});
+
+test('kept colours are always chosen', () => {
+  const hist = colourHistogram(pixels, 128);
+  expect(optimisePalette(hist, palette, 2, { metric: 'cie76', keep: [2] }).chosen).toContain(2);
+  expect(optimisePalette(hist, palette, 1, { metric: 'cie76', keep: [0, 2] }).chosen).toEqual([0, 2]);
+});
+
+test('only candidate colours are added to the kept ones', () => {
+  const hist = colourHistogram(pixels, 128);
+  const { chosen } = optimisePalette(hist, palette, 3, { metric: 'cie76', keep: [0], candidates: [0, 2, 3] });
+  expect(chosen).toEqual([0, 2, 3]);
+  expect(optimisePalette(hist, palette, 5, { metric: 'cie76', candidates: [1] }).chosen).toEqual([1]);
+});
@@ -0,0 +1,9 @@
+// optimise.worker.js
+// Runs the palette optimiser off the main thread: one request (see optimiseForSource)
+// in, { chosen, error, currentError } out.
+/* eslint-disable no-restricted-globals */
+import { optimiseForSource } from "./optimise";
+
+self.onmessage = (e) => {
+  self.postMessage(optimiseForSource(e.data));
+};
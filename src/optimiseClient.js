@@ -0,0 +1,25 @@
+// optimiseClient.js
+// Main-thread side of the optimise worker. Each request gets a worker of its own,
+// ended once it answers. Without Worker support (e.g. in tests) it runs here.
+
+import { optimiseForSource } from "./optimise";
+
+/**
+ * @param {object} request see optimiseForSource
+ * @returns {Promise<{ chosen: number[], error: number, currentError: number }>}
+ */
+export function optimiseInBackground(request) {
+  if (typeof Worker === "undefined") {
+    return new Promise(resolve => resolve(optimiseForSource(request)));
+  }
+  return import("./workers").then(({ createOptimiseWorker }) => new Promise((resolve, reject) => {
+    const worker = createOptimiseWorker();
+    worker.onmessage = (e) => { worker.terminate(); resolve(e.data); };
+    worker.onerror = worker.onmessageerror = (e) => {
+      e.preventDefault?.();
+      worker.terminate();
+      reject(new Error("the optimiser stopped unexpectedly"));
+    };
+    worker.postMessage(request);
+  }));
+}
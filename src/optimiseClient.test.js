@@ -0,0 +1,11 @@
+import { optimiseInBackground } from './optimiseClient';
+
+test('optimises on the main thread without Worker support', async () => {
+  const pixels = Uint8ClampedArray.from([255, 0, 0, 255, 255, 0, 0, 255, 0, 0, 255, 255]);
+  const palette = ['#000000', '#FF0000', '#0000FF'];
+  const result = await optimiseInBackground({
+    pixels, alphaThreshold: 128, palette, n: 1, metric: 'cie76', keep: [], candidates: [0, 2], current: [0, 1, 2],
+  });
+  expect(result.chosen).toEqual([2]);
+  expect(result.currentError).toBe(0);
+});
@@ -0,0 +1,157 @@
+// paletteFiles.js
+// Import/export of palette files: GIMP .gpl, Paint.NET .txt, .hex, JASC .pal and JSON.
+// Parsers return { name, colors: [{ hex, name? }] } and throw on unreadable input.
+
+import { normalizeHex } from "./palettes";
+
+export const PALETTE_FORMATS = [
+  { id: "gpl", label: "GIMP (.gpl)", ext: "gpl" },
+  { id: "paintnet", label: "Paint.NET (.txt)", ext: "txt" },
+  { id: "hex", label: "Hex list (.hex)", ext: "hex" },
+  { id: "pal", label: "JASC (.pal)", ext: "pal" },
+  { id: "json", label: "JSON (.json)", ext: "json" },
+];
+
+const toHex2 = (n) => Number(n).toString(16).padStart(2, "0").toUpperCase();
+const rgbTripletToHex = (r, g, b) => `#${toHex2(r)}${toHex2(g)}${toHex2(b)}`;
+const validByte = (n) => Number.isInteger(n) && n >= 0 && n <= 255;
+const lines = (text) => text.split(/\r?\n/).map(l => l.trim());
+
+function parseGpl(text) {
+  const rows = lines(text);
+  if (!/^GIMP Palette/i.test(rows[0] || "")) throw new Error("Not a GIMP palette");
+  let name = "";
+  const colors = [];
+  for (const row of rows.slice(1)) {
+    if (!row || row.startsWith("#")) continue;
+    const meta = /^(Name|Columns):\s*(.*)$/i.exec(row);
+    if (meta) { if (/name/i.test(meta[1])) name = meta[2]; continue; }
+    const m = /^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(row);
+    if (!m) continue;
+    const [r, g, b] = [m[1], m[2], m[3]].map(Number);
+    if (![r, g, b].every(validByte)) continue;
+    const label = m[4].trim();
+    // GIMP writes "Untitled" or the hex itself when a colour has no name
+    const hex = rgbTripletToHex(r, g, b);
+    colors.push(label && label !== "Untitled" && label.toUpperCase() !== hex.slice(1) ? { hex, name: label } : { hex });
+  }
+  return { name, colors };
+}
+
+function parsePal(text) {
+  const rows = lines(text).filter(Boolean);
+  if (rows[0] !== "JASC-PAL") throw new Error("Not a JASC palette");
+  const count = parseInt(rows[2], 10);
+  const colors = [];
+  for (const row of rows.slice(3)) {
+    const [r, g, b] = row.split(/\s+/).map(Number);
+    if ([r, g, b].every(validByte)) colors.push({ hex: rgbTripletToHex(r, g, b) });
+  }
+  return { name: "", colors: Number.isFinite(count) ? colors.slice(0, count) : colors };
+}
+
+// Paint.NET: ';' comments, one AARRGGBB (or RRGGBB) per line
+function parsePaintNet(text) {
+  const colors = [];
+  for (const row of lines(text)) {
+    if (!row || row.startsWith(";")) continue;
+    const m = /^([0-9a-f]{2})?([0-9a-f]{6})$/i.exec(row);
+    if (m) colors.push({ hex: `#${m[2].toUpperCase()}` });
+  }
+  return { name: "", colors };
+}
+
+// .hex (Lospec style): one RRGGBB per line, '#' optional
+function parseHexList(text) {
+  const colors = [];
+  for (const row of lines(text)) {
+    const hex = normalizeHex(row.split(/\s+/)[0]);
+    if (hex) colors.push({ hex });
+  }
+  return { name: "", colors };
+}
+
+// JSON: { name, colors: ["#hex" | { hex, name }] } or just the colours array
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data && data.colors;
+  if (!Array.isArray(list)) throw new Error("No colours in JSON palette");
+  const colors = [];
+  for (const item of list) {
+    const hex = normalizeHex(typeof item === "string" ? item : item && item.hex);
+    if (!hex) continue;
+    colors.push(item && typeof item.name === "string" && item.name ? { hex, name: item.name } : { hex });
+  }
+  return { name: (!Array.isArray(data) && typeof data.name === "string") ? data.name : "", colors };
+}
+
+/**
+ * Parse a palette file. The format is picked from the content where it is
+ * self-describing (GIMP, JASC, JSON) and from the extension otherwise.
+ * @param {string} text file contents
+ * @param {string} [filename]
+ * @returns {{ name: string, colors: { hex: string, name?: string }[] }}
+ */
+export function parsePaletteFile(text, filename = "") {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  const ext = (filename.split(".").pop() || "").toLowerCase();
+  let result;
+  if (/^GIMP Palette/i.test(trimmed)) result = parseGpl(trimmed);
+  else if (/^JASC-PAL/.test(trimmed)) result = parsePal(trimmed);
+  else if (ext === "json" || /^[[{]/.test(trimmed)) result = parseJson(trimmed);
+  else if (ext === "txt" || /^;/m.test(trimmed)) result = parsePaintNet(trimmed);
+  else {
+    result = parseHexList(trimmed);
+    if (!result.colors.length) result = parsePaintNet(trimmed);
+  }
+
+  if (!result.colors.length) throw new Error("No colours found in palette file");
+  if (!result.name) result.name = filename.replace(/\.[^.]+$/, "") || "Imported palette";
+  return result;
+}
+
+/**
+ * Serialise a palette to one of PALETTE_FORMATS.
+ * @param {{ name: string, colors: { hex: string, name?: string }[] }} palette
+ * @param {string} format
+ * @returns {string}
+ */
+export function serializePalette(palette, format) {
+  const rgb = (hex) => {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  };
+  switch (format) {
+    case "gpl":
+      return [
+        "GIMP Palette",
+        `Name: ${palette.name}`,
+        "Columns: 8",
+        "#",
+        ...palette.colors.map(c => {
+          const [r, g, b] = rgb(c.hex);
+          return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${c.name || c.hex.slice(1)}`;
+        }),
+      ].join("\n") + "\n";
+    case "paintnet":
+      return [
+        `;paint.net Palette File`,
+        `;Palette Name: ${palette.name}`,
+        `;Colors: ${palette.colors.length}`,
+        ...palette.colors.map(c => `FF${c.hex.slice(1)}`),
+      ].join("\n") + "\n";
+    case "hex":
+      return palette.colors.map(c => c.hex.slice(1).toLowerCase()).join("\n") + "\n";
+    case "pal":
+      return [
+        "JASC-PAL",
+        "0100",
+        String(palette.colors.length),
+        ...palette.colors.map(c => rgb(c.hex).join(" ")),
+      ].join("\r\n") + "\r\n";
+    case "json":
+      return JSON.stringify({ name: palette.name, colors: palette.colors }, null, 2);
+    default:
+      throw new Error(`Unknown palette format: ${format}`);
+  }
+}
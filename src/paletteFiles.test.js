@@ -0,0 +1,30 @@
+import { parsePaletteFile, serializePalette, PALETTE_FORMATS } from './paletteFiles';
+
+const palette = {
+  name: 'Test',
+  colors: [{ hex: '#FF4500', name: 'Orange' }, { hex: '#000000' }],
+};
+
+test('round-trips every export format', () => {
+  PALETTE_FORMATS.forEach(({ id, ext }) => {
+    const parsed = parsePaletteFile(serializePalette(palette, id), `test.${ext}`);
+    expect(parsed.colors.map(c => c.hex)).toEqual(['#FF4500', '#000000']);
+  });
+});
+
+test('keeps colour names from GIMP palettes', () => {
+  const text = 'GIMP Palette\nName: Sample\nColumns: 2\n#\n255  69   0\tOrange\n  0   0   0\tUntitled\n';
+  expect(parsePaletteFile(text, 'sample.gpl')).toEqual({
+    name: 'Sample',
+    colors: [{ hex: '#FF4500', name: 'Orange' }, { hex: '#000000' }],
+  });
+});
+
+test('reads Paint.NET AARRGGBB lines', () => {
+  const text = ';paint.net Palette File\n;Colors: 2\nFFFF4500\nFF000000\n';
+  expect(parsePaletteFile(text, 'pdn.txt').colors).toEqual([{ hex: '#FF4500' }, { hex: '#000000' }]);
+});
+
+test('rejects files without colours', () => {
+  expect(() => parsePaletteFile('hello world', 'notes.hex')).toThrow(/No colours/);
+});
@@ -0,0 +1,102 @@
+// palettes.js
+// Built-in palette presets. A palette is { id, name, colors: [{ hex, name? }], baseSet?: string[] }.
+// `baseSet` (optional) lists the hex codes enabled by the "Base set" button and by default.
+
+const named = (pairs) => pairs.map(([hex, name]) => ({ hex, name }));
+const plain = (hexes) => hexes.map(hex => ({ hex }));
+
+// Original WHERE2PLACE palette; the base set matches BASESETCOLOURS.png
+const W2P_DEFAULT = {
+  id: "w2p-default",
+  name: "WHERE2PLACE default",
+  colors: plain([
+    "#000000","#1A1A1A","#545454","#6D6D6D","#898989","#BFBFBF","#FFFFFF",
+    "#6D001A","#BE0039","#FF4500","#FFA800","#FFD635","#FFF8B8",
+    "#00A368","#00CC78","#7EED56","#00756F","#009EAA","#00CCC0",
+    "#2450A4","#3690EA","#51E9F4","#493AC1","#6A5CFF","#94B3FF",
+    "#811E9F","#B44AC0","#E4ABFF","#DE107F","#FF99AA",
+    "#6D482F","#9C6926","#FFB470"
+  ]),
+  baseSet: [
+    "#000000", "#1D2951", "#898989", "#D4D7D9", "#FFFFFF", "#6D001A", "#BE0039", "#FF4500", "#FFA800", "#FFD635", "#FFF8B8",
+    "#7030A0", "#9C44C0", "#E4ABFF", "#DE107F", "#FF99AA", "#6D482F", "#9C6926", "#FFAB70",
+    "#00A368", "#00CC78", "#7EED56", "#00756F", "#009EAA", "#00CCC0", "#51E9F4", "#2450A4", "#3690EA"
+  ],
+};
+
+const RPLACE_2017 = {
+  id: "rplace-2017",
+  name: "r/place 2017",
+  colors: plain([
+    "#FFFFFF", "#E4E4E4", "#888888", "#222222", "#FFA7D1", "#E50000", "#E59500", "#A06A42",
+    "#E5D900", "#94E044", "#02BE01", "#00D3DD", "#0083C7", "#0000EA", "#CF6EE4", "#820080"
+  ]),
+};
+
+// Final 32-colour palette (also used unchanged in 2023)
+const RPLACE_32 = [
+  "#6D001A", "#BE0039", "#FF4500", "#FFA800", "#FFD635", "#FFF8B8",
+  "#00A368", "#00CC78", "#7EED56", "#00756F", "#009EAA", "#00CCC0",
+  "#2450A4", "#3690EA", "#51E9F4", "#493AC1", "#6A5CFF", "#94B3FF",
+  "#811E9F", "#B44AC0", "#E4ABFF", "#DE107F", "#FF3881", "#FF99AA",
+  "#6D482F", "#9C6926", "#FFB470", "#000000", "#515252", "#898D90", "#D4D7D9", "#FFFFFF"
+];
+const RPLACE_2022 = { id: "rplace-2022", name: "r/place 2022", colors: plain(RPLACE_32) };
+const RPLACE_2023 = { id: "rplace-2023", name: "r/place 2023", colors: plain(RPLACE_32) };
+
+const WPLACE_FREE_COLORS = named([
+  ["#000000", "Black"], ["#3C3C3C", "Dark Gray"], ["#787878", "Gray"], ["#D2D2D2", "Light Gray"], ["#FFFFFF", "White"],
+  ["#600018", "Deep Red"], ["#ED1C24", "Red"], ["#FF7F27", "Orange"], ["#F6AA09", "Gold"], ["#F9DD3B", "Yellow"], ["#FFFABC", "Light Yellow"],
+  ["#0EB968", "Dark Green"], ["#13E67B", "Green"], ["#87FF5E", "Light Green"],
+  ["#0C816E", "Dark Teal"], ["#10AEA6", "Teal"], ["#13E1BE", "Light Teal"],
+  ["#28509E", "Dark Blue"], ["#4093E4", "Blue"], ["#60F7F2", "Cyan"],
+  ["#6B50F6", "Indigo"], ["#99B1FB", "Light Indigo"],
+  ["#780C99", "Dark Purple"], ["#AA38B9", "Purple"], ["#E09FF9", "Light Purple"],
+  ["#CB007A", "Dark Pink"], ["#EC1F80", "Pink"], ["#F38DA9", "Light Pink"],
+  ["#684634", "Dark Brown"], ["#95682A", "Brown"], ["#F8B277", "Beige"],
+]);
+const WPLACE_PREMIUM_COLORS = named([
+  ["#AAAAAA", "Medium Gray"], ["#A50E1E", "Dark Red"], ["#FA8072", "Light Red"], ["#E45C1A", "Dark Orange"],
+  ["#D6B594", "Light Tan"], ["#9C8431", "Dark Goldenrod"], ["#C5AD31", "Goldenrod"], ["#E8D45F", "Light Goldenrod"],
+  ["#4A6B3A", "Dark Olive"], ["#5A944A", "Olive"], ["#84C573", "Light Olive"],
+  ["#0F799F", "Dark Cyan"], ["#BBFAF2", "Light Cyan"], ["#7DC7FF", "Light Blue"],
+  ["#4D31B8", "Dark Indigo"], ["#4A4284", "Dark Slate Blue"], ["#7A71C4", "Slate Blue"], ["#B5AEF1", "Light Slate Blue"],
+  ["#DBA463", "Light Brown"], ["#D18051", "Dark Beige"], ["#FFC5A5", "Light Beige"],
+  ["#9B5249", "Dark Peach"], ["#D18078", "Peach"], ["#FAB6A4", "Light Peach"],
+  ["#7B6352", "Dark Tan"], ["#9C846B", "Tan"],
+  ["#333941", "Dark Slate"], ["#6D758D", "Slate"], ["#B3B9D1", "Light Slate"],
+  ["#6D643F", "Dark Stone"], ["#948C6B", "Stone"], ["#CDC59E", "Light Stone"],
+]);
+const WPLACE_FREE = { id: "wplace-free", name: "wplace (free colours)", colors: WPLACE_FREE_COLORS };
+// Premium colours are available but off by default; "Base set" goes back to the free ones
+const WPLACE_FULL = {
+  id: "wplace-full",
+  name: "wplace (free + premium)",
+  colors: [...WPLACE_FREE_COLORS, ...WPLACE_PREMIUM_COLORS],
+  baseSet: WPLACE_FREE_COLORS.map(c => c.hex),
+};
+
+export const BUILTIN_PALETTES = [W2P_DEFAULT, RPLACE_2017, RPLACE_2022, RPLACE_2023, WPLACE_FREE, WPLACE_FULL];
+export const DEFAULT_PALETTE_ID = W2P_DEFAULT.id;
+
+export function isBuiltinPalette(id) {
+  return BUILTIN_PALETTES.some(p => p.id === id);
+}
+
+// Enabled flags a palette starts with: its base set if it has one, otherwise every colour
+export function defaultEnabled(palette) {
+  if (palette.baseSet) return palette.colors.map(c => palette.baseSet.includes(c.hex));
+  return palette.colors.map(() => true);
+}
+
+export function newPaletteId() {
+  return `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Normalise user input ("f00", "#FF0000", "ff0000") to "#RRGGBB", or null if invalid
+export function normalizeHex(input) {
+  let h = String(input || "").trim().replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(h)) h = h.split("").map(c => c + c).join("");
+  if (!/^[0-9a-f]{6}$/i.test(h)) return null;
+  return `#${h.toUpperCase()}`;
+}
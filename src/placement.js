@@ -0,0 +1,95 @@
+// placement.js
+// Orderings for guided placement. Each returns the indices of the non-empty
+// cells of a W×H grid (row-major) in the order they should be placed.
+
+import { EMPTY } from "./dither";
+
+export const PLACEMENT_ORDERS = [
+  { id: "row", label: "Row scan" },
+  { id: "colour", label: "By colour" },
+  { id: "outline", label: "Outline first" },
+  { id: "spiral", label: "Spiral from centre" },
+  { id: "random", label: "Random" },
+];
+
+// Small deterministic PRNG so "random" gives the same order after a reload
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * @param {Uint8Array} cells palette index per cell, EMPTY for empty
+ * @param {number} W
+ * @param {number} H
+ * @param {string} order one of PLACEMENT_ORDERS
+ * @param {number} [seed] used by "random"
+ * @returns {number[]}
+ */
+export function buildPlacementOrder(cells, W, H, order, seed = 0) {
+  const filled = [];
+  for (let i = 0; i < W * H; i++) if (cells[i] !== EMPTY) filled.push(i);
+
+  switch (order) {
+    case "colour": {
+      // Most used colour first, row scan within a colour
+      const counts = new Map();
+      filled.forEach(i => counts.set(cells[i], (counts.get(cells[i]) || 0) + 1));
+      const rank = new Map([...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .map(([colour], r) => [colour, r]));
+      return filled.sort((a, b) => rank.get(cells[a]) - rank.get(cells[b]) || a - b);
+    }
+    case "outline": {
+      // Cells on a colour edge (or next to the border / an empty cell) come first
+      const isEdge = (i) => {
+        const x = i % W, y = (i - x) / W, c = cells[i];
+        return x === 0 || y === 0 || x === W - 1 || y === H - 1
+          || cells[i - 1] !== c || cells[i + 1] !== c || cells[i - W] !== c || cells[i + W] !== c;
+      };
+      const edge = [], inner = [];
+      filled.forEach(i => (isEdge(i) ? edge : inner).push(i));
+      return edge.concat(inner);
+    }
+    case "spiral": {
+      // Ring by ring outwards from the centre, clockwise within a ring
+      const cx = (W - 1) / 2, cy = (H - 1) / 2;
+      const key = new Map(filled.map(i => {
+        const dx = (i % W) - cx, dy = Math.floor(i / W) - cy;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        let angle = Math.atan2(dy, dx) + Math.PI / 2;
+        if (angle < 0) angle += 2 * Math.PI;
+        return [i, [ring, angle]];
+      }));
+      return filled.sort((a, b) => {
+        const ka = key.get(a), kb = key.get(b);
+        return ka[0] - kb[0] || ka[1] - kb[1];
+      });
+    }
+    case "random": {
+      const rand = mulberry32(seed);
+      for (let i = filled.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [filled[i], filled[j]] = [filled[j], filled[i]];
+      }
+      return filled;
+    }
+    default:
+      return filled;
+  }
+}
@@ -0,0 +1,41 @@
+import { EMPTY } from './dither';
+import { PLACEMENT_ORDERS, buildPlacementOrder, hashString } from './placement';
+
+// 3 × 3, one empty corner; colour 1 is the most used
+const cells = Uint8Array.from([
+  0, 1, 1,
+  1, 1, 2,
+  2, 0, EMPTY,
+]);
+const filled = [0, 1, 2, 3, 4, 5, 6, 7];
+
+test('every order places each non-empty cell once', () => {
+  PLACEMENT_ORDERS.forEach(({ id }) => {
+    expect([...buildPlacementOrder(cells, 3, 3, id, 7)].sort((a, b) => a - b)).toEqual(filled);
+  });
+});
+
+test('row scan and by colour', () => {
+  expect(buildPlacementOrder(cells, 3, 3, 'row')).toEqual(filled);
+  // Most used colour first, ties by colour index, rows within a colour
+  expect(buildPlacementOrder(cells, 3, 3, 'colour')).toEqual([1, 2, 3, 4, 0, 7, 5, 6]);
+});
+
+test('outline places edge cells before inner ones', () => {
+  const flat = new Uint8Array(16).fill(3);
+  const order = buildPlacementOrder(flat, 4, 4, 'outline');
+  expect(order.slice(12)).toEqual([5, 6, 9, 10]);
+  // A cell next to another colour counts as an edge
+  flat[6] = 1;
+  expect(buildPlacementOrder(flat, 4, 4, 'outline').slice(-1)).toEqual([9]);
+});
+
+test('spiral starts at the centre and goes clockwise from the top', () => {
+  expect(buildPlacementOrder(new Uint8Array(9), 3, 3, 'spiral')).toEqual([4, 1, 2, 5, 8, 7, 6, 3, 0]);
+});
+
+test('random order is the same for the same seed', () => {
+  const seed = hashString('cat.png');
+  expect(buildPlacementOrder(cells, 3, 3, 'random', seed)).toEqual(buildPlacementOrder(cells, 3, 3, 'random', seed));
+  expect(buildPlacementOrder(cells, 3, 3, 'random', seed)).not.toEqual(buildPlacementOrder(cells, 3, 3, 'random', seed + 1));
+});
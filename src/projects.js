@@ -0,0 +1,323 @@
+// projects.js
+// Saved projects in IndexedDB. A project holds the original image file, every
+// setting, the palette it was planned with and the manual edit layer. A plan
+// with layers also holds every layer's image, settings, edits and last plan.
+// Two stores share the id: "projects" has the light records the list shows
+// (name, dates, thumbnail), "data" the heavy parts, so listing stays cheap.
+// A project can also be written to / read from a single JSON file.
+
+import { encodeRle, decodeRle } from "./shareCode";
+import { EMPTY } from "./dither";
+import { NO_EDIT } from "./editing";
+import { MAX_GRID_CELLS } from "./quantize";
+
+const DB_NAME = "w2p";
+const DB_VERSION = 1;
+const META = "projects";
+const DATA = "data";
+
+const FILE_FORMAT = "w2p-project";
+const FILE_VERSION = 2; // 2 added layers
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("This browser can't store projects"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(META, { keyPath: "id" });
+        req.result.createObjectStore(DATA, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error || new Error("Could not open the project library"));
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run `fn(meta, data)` in one transaction; resolves with whatever fn left in out.value once it commits
+async function withStores(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([META, DATA], mode);
+    const out = {};
+    fn(tx.objectStore(META), tx.objectStore(DATA), out);
+    tx.oncomplete = () => resolve(out.value);
+    tx.onerror = tx.onabort = () => reject(tx.error || new Error("The project library could not be updated"));
+  });
+}
+
+export function newProjectId() {
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Light records for the list, most recently saved first */
+export function listProjects() {
+  return withStores("readonly", (meta, _data, out) => {
+    const req = meta.getAll();
+    req.onsuccess = () => { out.value = req.result.sort((a, b) => b.updatedAt - a.updatedAt); };
+  });
+}
+
+/**
+ * A whole project, or null when there's none with that id.
+ * @returns {Promise<{ id, name, createdAt, updatedAt, thumbnail, image: Blob, imageName, imageKey, settings, palette, edits, layers, activeLayerId } | null>}
+ */
+export function loadProject(id) {
+  return withStores("readonly", (meta, data, out) => {
+    const m = meta.get(id), d = data.get(id);
+    d.onsuccess = () => { out.value = m.result && d.result ? { ...d.result, ...m.result } : null; };
+  });
+}
+
+/**
+ * Create or update a project. Name, creation date and thumbnail are kept
+ * from the stored record when left out; a new project is named after its image.
+ * @returns {Promise<object>} the light record
+ */
+export function saveProject({ id, name, thumbnail, image, imageName, imageKey, settings, palette, edits, layers, activeLayerId }) {
+  return withStores("readwrite", (meta, data, out) => {
+    const req = meta.get(id);
+    req.onsuccess = () => {
+      const prev = req.result || {};
+      const record = {
+        id,
+        name: name ?? prev.name ?? (imageName || "Untitled").replace(/\.[^.]+$/, ""),
+        createdAt: prev.createdAt ?? Date.now(),
+        updatedAt: Date.now(),
+        thumbnail: thumbnail ?? prev.thumbnail ?? null,
+      };
+      meta.put(record);
+      data.put({ id, image, imageName, imageKey, settings, palette, edits: edits || null, layers: layers || null, activeLayerId: activeLayerId ?? null });
+      out.value = record;
+    };
+  });
+}
+
+export function renameProject(id, name) {
+  return withStores("readwrite", (meta, _data, out) => {
+    const req = meta.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      out.value = { ...req.result, name };
+      meta.put(out.value);
+    };
+  });
+}
+
+export function deleteProject(id) {
+  return withStores("readwrite", (meta, data) => {
+    meta.delete(id);
+    data.delete(id);
+  });
+}
+
+/** Copy a project under a new id; resolves with the copy's light record */
+export async function duplicateProject(id) {
+  const project = await loadProject(id);
+  if (!project) throw new Error("That project no longer exists");
+  return saveProject({ ...project, id: newProjectId(), name: `${project.name} (copy)` });
+}
+
+/**
+ * Small preview of a plan canvas, at most `size` px on its long side.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {string | null} PNG data URL
+ */
+export function makeThumbnail(canvas, size = 64) {
+  if (!canvas || !canvas.width || !canvas.height) return null;
+  const scale = size / Math.max(canvas.width, canvas.height);
+  const c = document.createElement("canvas");
+  c.width = Math.max(1, Math.round(canvas.width * scale));
+  c.height = Math.max(1, Math.round(canvas.height * scale));
+  const ctx = c.getContext("2d");
+  if (!ctx) return null;
+  // Small plans are blown up with hard edges, big ones averaged down
+  ctx.imageSmoothingEnabled = scale < 1;
+  ctx.drawImage(canvas, 0, 0, c.width, c.height);
+  return c.toDataURL("image/png");
+}
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error("Could not read the image"));
+  reader.readAsDataURL(blob);
+});
+
+// `problem` is the message thrown for anything but a base64 image
+function dataUrlToBlob(url, problem = "The project file's image is missing or not an image") {
+  const m = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(url);
+  if (!m || !m[2] || !/^image\//.test(m[1])) throw new Error(problem);
+  let bin;
+  try {
+    bin = atob(m[3]);
+  } catch {
+    throw new Error(problem);
+  }
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: m[1] });
+}
+
+// Bytes run-length encoded, as base64
+function packBytes(bytes) {
+  const rle = encodeRle(bytes);
+  let bin = "";
+  for (let i = 0; i < rle.length; i++) bin += String.fromCharCode(rle[i]);
+  return btoa(bin);
+}
+
+function unpackBytes(str, length) {
+  const bin = atob(str);
+  const rle = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) rle[i] = bin.charCodeAt(i);
+  return decodeRle(rle, length);
+}
+
+// The edit layer's bytes (Int16, little-endian): untouched cells are 0xFFFF,
+// so a mostly unedited layer packs into a few bytes
+const editsToFile = (edits) => edits && {
+  w: edits.w,
+  h: edits.h,
+  palette: edits.palette,
+  layer: packBytes(new Uint8Array(edits.layer.buffer, edits.layer.byteOffset, edits.layer.byteLength)),
+};
+
+const isHex = (hex) => typeof hex === "string" && /^#[0-9A-F]{6}$/i.test(hex);
+// A grid size the app can hold
+const isGridSize = (w, h) => Number.isInteger(w) && Number.isInteger(h) && w > 0 && h > 0 && w * h <= MAX_GRID_CELLS;
+
+// Every value must be NO_EDIT, EMPTY or an index into the edits' palette
+function editsFromFile(e) {
+  if (!e) return null;
+  const corrupt = () => new Error("The project file's edits are corrupt");
+  if (!isGridSize(e.w, e.h) || !Array.isArray(e.palette) || !e.palette.every(isHex) || typeof e.layer !== "string") throw corrupt();
+  let layer;
+  try {
+    layer = new Int16Array(unpackBytes(e.layer, e.w * e.h * 2).buffer);
+  } catch {
+    throw corrupt();
+  }
+  if (layer.some(v => v !== NO_EDIT && v !== EMPTY && (v < 0 || v >= e.palette.length))) throw corrupt();
+  return { w: e.w, h: e.h, palette: e.palette, layer };
+}
+
+const planToFile = (plan) => plan && { w: plan.w, h: plan.h, colors: plan.colors, cells: packBytes(plan.cells) };
+
+// Every cell must be EMPTY or an index into the plan's colours
+function planFromFile(p) {
+  if (!p) return null;
+  const corrupt = () => new Error("The project file's layers are corrupt");
+  if (!isGridSize(p.w, p.h) || !Array.isArray(p.colors) || !p.colors.every(c => c && isHex(c.hex)) || typeof p.cells !== "string") {
+    throw corrupt();
+  }
+  let cells;
+  try {
+    cells = unpackBytes(p.cells, p.w * p.h);
+  } catch {
+    throw corrupt();
+  }
+  if (cells.some(c => c !== EMPTY && c >= p.colors.length)) throw corrupt();
+  return { w: p.w, h: p.h, colors: p.colors, cells };
+}
+
+/**
+ * Serialize a project (as returned by loadProject) to the text of a project file.
+ * @returns {Promise<string>}
+ */
+export async function projectToFile(project) {
+  const layers = project.layers && await Promise.all(project.layers.map(async l => ({
+    id: l.id,
+    name: l.name,
+    visible: l.visible,
+    locked: l.locked,
+    x: l.x,
+    y: l.y,
+    imageName: l.imageName,
+    imageKey: l.imageKey,
+    image: await blobToDataUrl(l.image),
+    settings: l.settings,
+    edits: editsToFile(l.edits),
+    plan: planToFile(l.plan),
+  })));
+  return JSON.stringify({
+    format: FILE_FORMAT,
+    version: FILE_VERSION,
+    name: project.name,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    thumbnail: project.thumbnail,
+    imageName: project.imageName,
+    imageKey: project.imageKey,
+    image: await blobToDataUrl(project.image),
+    settings: project.settings,
+    palette: project.palette,
+    edits: editsToFile(project.edits),
+    layers,
+    activeLayerId: project.activeLayerId,
+  });
+}
+
+/**
+ * Read a project file. The result has no id; give it one before saving.
+ * Throws an Error saying what is wrong with the file.
+ */
+export function projectFromFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("This isn't a project file");
+  }
+  if (!file || file.format !== FILE_FORMAT) throw new Error("This isn't a project file");
+  if (!(file.version <= FILE_VERSION)) throw new Error("This project was saved by a newer version of the app");
+  if (!file.settings || typeof file.settings !== "object") throw new Error("The project file has no settings");
+
+  const edits = editsFromFile(file.edits);
+  let layers = null;
+  if (file.layers) {
+    const corrupt = "The project file's layers are corrupt";
+    if (!Array.isArray(file.layers) || !file.layers.every(l => l && typeof l === "object" && typeof l.id === "string")) {
+      throw new Error(corrupt);
+    }
+    const ids = new Set(file.layers.map(l => l.id));
+    if (ids.size !== file.layers.length || !ids.has(file.activeLayerId)) throw new Error(corrupt);
+    // Offsets past the cell budget can't be part of a plan the app can hold
+    if (file.layers.some(l => Math.abs(Number(l.x) || 0) > MAX_GRID_CELLS || Math.abs(Number(l.y) || 0) > MAX_GRID_CELLS)) {
+      throw new Error(corrupt);
+    }
+    layers = file.layers.map(l => ({
+      id: l.id,
+      name: typeof l.name === "string" && l.name ? l.name : "Layer",
+      visible: l.visible !== false,
+      locked: !!l.locked,
+      x: Math.max(0, Math.round(Number(l.x) || 0)),
+      y: Math.max(0, Math.round(Number(l.y) || 0)),
+      image: dataUrlToBlob(String(l.image || ""), corrupt),
+      imageName: typeof l.imageName === "string" ? l.imageName : "image",
+      imageKey: typeof l.imageKey === "string" ? l.imageKey : null,
+      settings: l.settings && typeof l.settings === "object" ? l.settings : {},
+      edits: editsFromFile(l.edits),
+      plan: planFromFile(l.plan),
+    }));
+  }
+
+  return {
+    name: typeof file.name === "string" && file.name ? file.name : "Imported project",
+    thumbnail: typeof file.thumbnail === "string" ? file.thumbnail : null,
+    image: dataUrlToBlob(String(file.image || "")),
+    imageName: typeof file.imageName === "string" ? file.imageName : "image",
+    imageKey: typeof file.imageKey === "string" ? file.imageKey : null,
+    settings: file.settings,
+    palette: file.palette && Array.isArray(file.palette.colors) ? file.palette : null,
+    edits,
+    layers,
+    activeLayerId: layers ? file.activeLayerId : null,
+  };
+}
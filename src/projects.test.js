@@ -0,0 +1,63 @@
+import { projectFromFile, projectToFile } from './projects';
+
+const layer = new Int16Array(300).fill(-1);
+layer[7] = 3;
+layer[200] = 255;
+
+const project = {
+  id: 'p-1',
+  name: 'Cat',
+  createdAt: 1,
+  updatedAt: 2,
+  thumbnail: null,
+  image: new Blob([Uint8Array.from([137, 80, 78, 71, 0, 255])], { type: 'image/png' }),
+  imageName: 'cat.png',
+  imageKey: 'cat.png:6:1',
+  settings: { pixelsAcross: 20, zoom: 8 },
+  palette: { id: 'wplace', name: 'wplace', colors: [{ hex: '#000000' }] },
+  edits: { w: 20, h: 15, palette: ['#000000', '#FFFFFF', '#FF0000', '#00FF00'], layer },
+};
+
+test('round-trips a project through a file', async () => {
+  const back = projectFromFile(await projectToFile(project));
+  expect(back).toMatchObject({ name: 'Cat', imageName: 'cat.png', imageKey: 'cat.png:6:1', settings: project.settings, palette: project.palette });
+  expect(back.image.type).toBe('image/png');
+  expect(back.image.size).toBe(6);
+  expect(Array.from(back.edits.layer)).toEqual(Array.from(layer));
+});
+
+test('rejects files that are not projects', async () => {
+  expect(() => projectFromFile('{"templates": []}')).toThrow(/isn't a project/);
+  const text = await projectToFile(project);
+  expect(() => projectFromFile(text.replace('"version":2', '"version":3'))).toThrow(/newer version/);
+  expect(() => projectFromFile(text.replace(/"layer":"[^"]*"/, '"layer":"AAAA"'))).toThrow(/edits are corrupt/);
+  expect(() => projectFromFile(text.replace(/"image":"data:image\/png;base64,/, '"image":"data:image/png;base64,%%'))).toThrow(/not an image/);
+  const file = JSON.parse(text);
+  expect(() => projectFromFile(JSON.stringify({ ...file, layers: [null], activeLayerId: 'l-1' }))).toThrow(/layers are corrupt/);
+  expect(() => projectFromFile(JSON.stringify({ ...file, layers: [{ id: 'l-1', image: 'data:image/png;base64,%%' }], activeLayerId: 'l-1' })))
+    .toThrow(/layers are corrupt/);
+});
+
+test('keeps every layer with its image, edits and plan', async () => {
+  const cells = Uint8Array.from([0, 255, 255, 0]);
+  const layers = [
+    { id: 'l-1', name: 'Cat', visible: true, locked: false, x: 0, y: 0, image: project.image, imageName: 'cat.png', imageKey: 'cat.png:6:1', settings: project.settings, edits: project.edits, plan: null },
+    { id: 'l-2', name: 'Flag', visible: false, locked: true, x: 4, y: 2, image: project.image, imageName: 'flag.png', imageKey: null, settings: {}, edits: null, plan: { w: 2, h: 2, colors: [{ hex: '#000000' }], cells } },
+  ];
+  const back = projectFromFile(await projectToFile({ ...project, layers, activeLayerId: 'l-1' }));
+  expect(back.activeLayerId).toBe('l-1');
+  expect(back.layers[1]).toMatchObject({ name: 'Flag', visible: false, locked: true, x: 4, y: 2, edits: null });
+  expect(Array.from(back.layers[1].plan.cells)).toEqual(Array.from(cells));
+  expect(Array.from(back.layers[0].edits.layer)).toEqual(Array.from(layer));
+});
+
+test('rejects cells and edits outside their palette', async () => {
+  const bad = new Int16Array(300).fill(-1);
+  bad[5] = 4;
+  await expect(projectToFile({ ...project, edits: { ...project.edits, layer: bad } }).then(projectFromFile)).rejects.toThrow(/edits are corrupt/);
+  const layers = [{
+    id: 'l-1', name: 'Flag', visible: true, locked: false, x: 0, y: 0, image: project.image, settings: {}, edits: null,
+    plan: { w: 2, h: 1, colors: [{ hex: '#000000' }], cells: Uint8Array.from([0, 1]) },
+  }];
+  await expect(projectToFile({ ...project, layers, activeLayerId: 'l-1' }).then(projectFromFile)).rejects.toThrow(/layers are corrupt/);
+});
@@ -0,0 +1,71 @@
+// quality.js
+// How much detail quantization lost: CIEDE2000 ΔE per cell between the resampled
+// source colour and the palette colour the plan puts there.
+
+import { ciede2000Distance, hexToRgb, rgbToLab } from "./color";
+import { EMPTY } from "./dither";
+
+// ΔE at which the heatmap reaches its last colour
+export const HEAT_MAX = 20;
+
+// Heatmap ramp: ΔE → colour, linear between stops
+const HEAT_STOPS = [
+  [0, { r: 20, g: 40, b: 110 }],
+  [HEAT_MAX / 4, { r: 30, g: 160, b: 110 }],
+  [HEAT_MAX / 2, { r: 240, g: 195, b: 50 }],
+  [HEAT_MAX, { r: 225, g: 55, b: 55 }],
+];
+
+export function heatColour(deltaE) {
+  const d = Math.max(0, Math.min(HEAT_MAX, deltaE));
+  let k = 1;
+  while (k < HEAT_STOPS.length - 1 && d > HEAT_STOPS[k][0]) k++;
+  const [d0, c0] = HEAT_STOPS[k - 1], [d1, c1] = HEAT_STOPS[k];
+  const t = (d - d0) / (d1 - d0);
+  return {
+    r: Math.round(c0.r + (c1.r - c0.r) * t),
+    g: Math.round(c0.g + (c1.g - c0.g) * t),
+    b: Math.round(c0.b + (c1.b - c0.b) * t),
+  };
+}
+
+// CSS gradient matching the ramp, for a legend
+export const HEAT_GRADIENT = `linear-gradient(to right, ${HEAT_STOPS.map(([d, c]) => `rgb(${c.r},${c.g},${c.b}) ${(d / HEAT_MAX) * 100}%`).join(", ")})`;
+
+/** ΔE (CIEDE2000) between two {r,g,b} colours */
+export function deltaE(a, b) {
+  return ciede2000Distance(rgbToLab(a), rgbToLab(b));
+}
+
+/**
+ * ΔE of every cell.
+ * @param {Uint8ClampedArray} source W×H RGBA colours the grid was matched from
+ * @param {Uint8Array} sourceCells the quantized grid; EMPTY there means the source was transparent
+ * @param {Uint8Array} cells the plan (quantized grid with edits)
+ * @param {{ hex: string }[]} colors
+ * @returns {{ errors: Float32Array, mean: number, max: number, count: number }}
+ *   errors is NaN where there is nothing to compare; count is the number of compared cells
+ */
+export function planErrors(source, sourceCells, cells, colors) {
+  const labs = colors.map(c => rgbToLab(hexToRgb(c.hex)));
+  const errors = new Float32Array(cells.length).fill(NaN);
+  // Pixel art repeats colours a lot, so results are cached per (source colour, palette index)
+  const cache = new Map();
+  let sum = 0, max = 0, count = 0;
+  for (let i = 0; i < cells.length; i++) {
+    const c = cells[i];
+    if (c === EMPTY || sourceCells[i] === EMPTY) continue;
+    const j = i * 4;
+    const key = ((source[j] << 16) | (source[j + 1] << 8) | source[j + 2]) * 256 + c;
+    let d = cache.get(key);
+    if (d === undefined) {
+      d = ciede2000Distance(rgbToLab({ r: source[j], g: source[j + 1], b: source[j + 2] }), labs[c]);
+      cache.set(key, d);
+    }
+    errors[i] = d;
+    sum += d;
+    if (d > max) max = d;
+    count++;
+  }
+  return { errors, mean: count ? sum / count : 0, max, count };
+}
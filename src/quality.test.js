@@ -0,0 +1,22 @@
+import { EMPTY } from './dither';
+import { HEAT_MAX, heatColour, planErrors } from './quality';
+
+const colors = [{ hex: '#000000' }, { hex: '#FFFFFF' }];
+
+test('measures each cell against its source colour and skips empty ones', () => {
+  const source = Uint8ClampedArray.from([0, 0, 0, 255, 250, 250, 250, 255, 255, 0, 0, 0, 255, 255, 255, 255]);
+  const sourceCells = Uint8Array.from([0, 1, EMPTY, 1]);
+  const cells = Uint8Array.from([0, 1, 1, EMPTY]);
+  const { errors, mean, max, count } = planErrors(source, sourceCells, cells, colors);
+  expect(count).toBe(2);
+  expect(errors[0]).toBe(0);
+  expect(errors[1]).toBeGreaterThan(0);
+  expect(Number.isNaN(errors[2]) && Number.isNaN(errors[3])).toBe(true);
+  expect(max).toBeCloseTo(errors[1]);
+  expect(mean).toBeCloseTo(errors[1] / 2);
+});
+
+test('the heat ramp is clamped at both ends', () => {
+  expect(heatColour(-5)).toEqual(heatColour(0));
+  expect(heatColour(HEAT_MAX * 3)).toEqual(heatColour(HEAT_MAX));
+});
@@ -0,0 +1,77 @@
+// quantize.js
+// Source pixels → grid of palette indices. Shared by the quantize worker and the
+// main-thread fallback (used where Workers are unavailable, e.g. tests).
+
+import { hexToRgb, getColorMetric } from "./color";
+import { EMPTY, quantizePixels } from "./dither";
+import { resamplePixels } from "./resample";
+import { adjustPixels } from "./adjust";
+
+// Cells are Uint8Array palette indices and EMPTY (255) is reserved
+export const MAX_PALETTE_COLORS = EMPTY;
+
+// Largest grid (width × height) we quantize and draw; past this the page gets sluggish
+export const MAX_GRID_CELLS = 1000000;
+
+/**
+ * Nearest-colour matcher for one palette / enabled set / metric.
+ * Results for integer colours are cached (packed 0xRRGGBB → index); fractional
+ * inputs from dithering are matched directly so results never depend on the cache.
+ * @param {string[]} paletteHex
+ * @param {boolean[]} enabled
+ * @param {string} metricId one of COLOR_METRICS
+ */
+export function createMatcher(paletteHex, enabled, metricId) {
+  const metric = getColorMetric(metricId);
+  const paletteRGB = paletteHex.map(hexToRgb);
+  const space = paletteRGB.map(metric.convert);
+  const pool = [];
+  paletteHex.forEach((_, i) => { if (enabled[i]) pool.push(i); });
+  if (!pool.length) paletteHex.forEach((_, i) => pool.push(i));
+  const cache = new Map();
+
+  const match = (rgb) => {
+    let best = Infinity, idx = 0;
+    const c = metric.convert(rgb);
+    for (let k = 0; k < pool.length; k++) {
+      const d = metric.distance(c, space[pool[k]]);
+      if (d < best) { best = d; idx = pool[k]; }
+    }
+    return idx;
+  };
+  const nearest = (rgb) => {
+    const { r, g, b } = rgb;
+    if (!Number.isInteger(r) || !Number.isInteger(g) || !Number.isInteger(b)) return match(rgb);
+    const key = (r << 16) | (g << 8) | b;
+    let idx = cache.get(key);
+    if (idx === undefined) { idx = match(rgb); cache.set(key, idx); }
+    return idx;
+  };
+  return { nearest, paletteRGB };
+}
+
+/**
+ * Run the quantization pipeline.
+ * @param {{ W: number, H: number, pixels?: Uint8ClampedArray, resampleMode: string, ditherMode: string, ditherStrength: number, alphaThreshold: number, adjust?: object }} job
+ *   `pixels` is the W×H nearest-neighbour sample, used when resampleMode is "nearest";
+ *   `adjust` (see adjust.js) is applied to the W×H result of every resample mode alike
+ * @param {{ data: Uint8ClampedArray, width: number, height: number } | null} source full-resolution pixels
+ * @param {{ nearest: Function, paletteRGB: object[] }} matcher from createMatcher
+ * @returns {{ cells: Uint8Array, pixels: Uint8ClampedArray }} palette indices, and the W×H RGBA
+ *   colours they were matched from (resampled and adjusted) for comparing against
+ */
+export function quantizeGrid(job, source, matcher) {
+  const { W, H } = job;
+  const sampled = job.resampleMode !== "nearest" && source
+    ? resamplePixels(source, W, H, job.resampleMode, matcher)
+    : job.pixels;
+  const data = adjustPixels(sampled, W, H, job.adjust);
+  const cells = quantizePixels(data, W, H, {
+    mode: job.ditherMode,
+    strength: job.ditherStrength,
+    alphaThreshold: job.alphaThreshold,
+    nearest: matcher.nearest,
+    paletteRGB: matcher.paletteRGB,
+  });
+  return { cells, pixels: data };
+}
@@ -0,0 +1,28 @@
+// quantize.worker.js
+// Runs quantizeGrid off the main thread. Messages:
+//   { type: "source", source }  full-resolution ImageData for the area resamplers
+//   { type: "job", jobId, useSource, palette, enabled, metric, ...job }  → { jobId, cells, pixels }
+/* eslint-disable no-restricted-globals */
+import { createMatcher, quantizeGrid } from "./quantize";
+
+let source = null;
+let matcher = null;
+let matcherKey = "";
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "source") {
+    source = msg.source;
+    return;
+  }
+  if (msg.type === "job") {
+    // Keep the matcher (and its colour cache) while palette, enabled set and metric are unchanged
+    const key = JSON.stringify([msg.palette, msg.enabled, msg.metric]);
+    if (key !== matcherKey) {
+      matcher = createMatcher(msg.palette, msg.enabled, msg.metric);
+      matcherKey = key;
+    }
+    const { cells, pixels } = quantizeGrid(msg, msg.useSource ? source : null, matcher);
+    self.postMessage({ jobId: msg.jobId, cells, pixels }, [cells.buffer, pixels.buffer]);
+  }
+};
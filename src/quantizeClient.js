@@ -0,0 +1,108 @@
+// quantizeClient.js
+// Main-thread side of the quantize worker.
+// Only one job runs at a time. A new request cancels the one waiting to start,
+// and the result of a job that was superseded while running is dropped, so
+// dragging a slider only ever renders the latest settings.
+// Without Worker support (e.g. in tests) jobs run synchronously on the main thread.
+// A worker that fails (an exception, or out of memory on a huge image) is thrown
+// away: its job resolves with null and the next job starts a fresh one.
+
+import { createMatcher, quantizeGrid } from "./quantize";
+
+export function createQuantizer() {
+  let workerPromise = null;
+  let sentSource = null;
+  let running = null;  // { jobId, resolve }
+  let queued = null;   // { job, source, resolve }
+  let latestJobId = 0;
+  let localMatcher = null, localKey = "";
+
+  const runLocal = (job, source) => {
+    const key = JSON.stringify([job.palette, job.enabled, job.metric]);
+    if (key !== localKey) { localMatcher = createMatcher(job.palette, job.enabled, job.metric); localKey = key; }
+    return quantizeGrid(job, source, localMatcher);
+  };
+
+  const finish = (result) => {
+    const done = running;
+    if (!done) return;
+    running = null;
+    done.resolve(done.jobId === latestJobId ? result : null);
+    dispatch();
+  };
+
+  const getWorker = () => {
+    if (!workerPromise) {
+      workerPromise = import("./workers").then(({ createQuantizeWorker }) => {
+        const worker = createQuantizeWorker();
+        worker.onmessage = (e) => {
+          if (running && e.data.jobId === running.jobId) finish({ cells: e.data.cells, pixels: e.data.pixels });
+        };
+        worker.onerror = worker.onmessageerror = (e) => {
+          e.preventDefault?.();
+          worker.terminate();
+          workerPromise = null;
+          sentSource = null;
+          finish(null);
+        };
+        return worker;
+      });
+    }
+    return workerPromise;
+  };
+
+  // Main-thread fallback when the worker can't be loaded; null if quantizing fails there too
+  const finishLocally = (job, source) => {
+    let result = null;
+    try {
+      result = runLocal(job, source);
+    } catch {
+      // leave the stage as it was
+    }
+    finish(result);
+  };
+
+  function dispatch() {
+    if (running || !queued) return;
+    const { job, source, resolve } = queued;
+    queued = null;
+    running = { jobId: job.jobId, resolve };
+    getWorker().then(
+      (worker) => {
+        try {
+          if (source && source !== sentSource) {
+            worker.postMessage({ type: "source", source });
+            sentSource = source;
+          }
+          worker.postMessage({ ...job, type: "job", useSource: !!source });
+        } catch {
+          finish(null);
+        }
+      },
+      () => finishLocally(job, source)
+    );
+  }
+
+  return {
+    /**
+     * @param {object} job see quantizeGrid, plus { palette: string[], enabled: boolean[], metric: string }
+     * @param {ImageData | null} source full-resolution pixels for the area resamplers
+     * @returns {Promise<{ cells: Uint8Array, pixels: Uint8ClampedArray } | null>} null when the job was superseded
+     */
+    run(job, source) {
+      const jobId = ++latestJobId;
+      if (typeof Worker === "undefined") return Promise.resolve(runLocal(job, source));
+      if (queued) queued.resolve(null);
+      return new Promise((resolve) => {
+        queued = { job: { ...job, jobId }, source, resolve };
+        dispatch();
+      });
+    },
+    dispose() {
+      if (queued) queued.resolve(null);
+      if (running) running.resolve(null);
+      queued = running = null;
+      if (workerPromise) workerPromise.then(w => w.terminate(), () => {});
+    },
+  };
+}
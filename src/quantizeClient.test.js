@@ -0,0 +1,36 @@
+import { createQuantizer } from './quantizeClient';
+
+// Fake workers that keep every message and can be made to fail
+const workers = [];
+jest.mock('./workers', () => ({
+  createQuantizeWorker: () => {
+    const worker = { messages: [], postMessage(m) { this.messages.push(m); }, terminate: jest.fn() };
+    workers.push(worker);
+    return worker;
+  },
+}));
+
+const job = { W: 1, H: 1, pixels: null, palette: ['#000000'], enabled: [true], metric: 'cie76' };
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeAll(() => { global.Worker = function Worker() {}; });
+afterAll(() => { delete global.Worker; });
+
+test('a failed worker is replaced and its job resolves with null', async () => {
+  const quantizer = createQuantizer();
+  const first = quantizer.run(job, null);
+  await flush();
+  expect(workers).toHaveLength(1);
+  workers[0].onerror({ preventDefault() {} });
+  await expect(first).resolves.toBeNull();
+  expect(workers[0].terminate).toHaveBeenCalled();
+
+  const second = quantizer.run(job, null);
+  await flush();
+  expect(workers).toHaveLength(2);
+  const { jobId } = workers[1].messages[0];
+  const cells = Uint8Array.of(0), pixels = new Uint8ClampedArray(4);
+  workers[1].onmessage({ data: { jobId, cells, pixels } });
+  await expect(second).resolves.toEqual({ cells, pixels });
+  quantizer.dispose();
+});
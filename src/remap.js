@@ -0,0 +1,58 @@
+// remap.js
+// Remap rules: "everything quantized to colour A becomes colour B". Rules are
+// { from, to } hex pairs applied in list order after palette matching, so a later
+// rule also catches what an earlier one produced (A → B then B → C sends A to C).
+// Rules naming a colour that isn't in the palette are skipped.
+
+import { EMPTY } from "./dither";
+import { normalizeHex } from "./palettes";
+
+/** Validate saved or shared rules, dropping malformed ones */
+export function normalizeRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .map(r => r && { from: normalizeHex(r.from), to: normalizeHex(r.to) })
+    .filter(r => r && r.from && r.to);
+}
+
+/**
+ * Palette index → index after the rules.
+ * @param {{ from: string, to: string }[]} rules
+ * @param {{ hex: string }[]} colors the grid's palette
+ * @returns {Uint8Array | null} null when no rule changes anything
+ */
+export function remapTable(rules, colors) {
+  const table = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) table[i] = i;
+  let changed = false;
+  rules.forEach(({ from, to }) => {
+    const a = colors.findIndex(c => c.hex === from), b = colors.findIndex(c => c.hex === to);
+    if (a < 0 || b < 0 || a === b) return;
+    for (let i = 0; i < colors.length; i++) if (table[i] === a) { table[i] = b; changed = true; }
+  });
+  return changed ? table : null;
+}
+
+export function applyRemap(cells, table) {
+  if (!table) return cells;
+  const out = new Uint8Array(cells.length);
+  for (let i = 0; i < cells.length; i++) out[i] = cells[i] === EMPTY ? EMPTY : table[cells[i]];
+  return out;
+}
+
+/**
+ * Cells each rule moves, following the rules in order.
+ * @returns {number[]} one count per rule (0 for skipped rules)
+ */
+export function ruleCounts(rules, colors, cells) {
+  const hist = new Array(colors.length).fill(0);
+  for (let i = 0; i < cells.length; i++) if (cells[i] !== EMPTY) hist[cells[i]]++;
+  return rules.map(({ from, to }) => {
+    const a = colors.findIndex(c => c.hex === from), b = colors.findIndex(c => c.hex === to);
+    if (a < 0 || b < 0 || a === b) return 0;
+    const moved = hist[a];
+    hist[b] += moved;
+    hist[a] = 0;
+    return moved;
+  });
+}
@@ -0,0 +1,18 @@
+import { EMPTY } from './dither';
+import { applyRemap, normalizeRules, remapTable, ruleCounts } from './remap';
+
+const colors = [{ hex: '#000000' }, { hex: '#808080' }, { hex: '#FFFFFF' }];
+const cells = Uint8Array.from([0, 1, 1, 2, EMPTY]);
+
+test('rules apply in order, later ones catching earlier results', () => {
+  const chained = [{ from: '#808080', to: '#FFFFFF' }, { from: '#FFFFFF', to: '#000000' }];
+  expect(Array.from(applyRemap(cells, remapTable(chained, colors)))).toEqual([0, 0, 0, 0, EMPTY]);
+  const reversed = [chained[1], chained[0]];
+  expect(Array.from(applyRemap(cells, remapTable(reversed, colors)))).toEqual([0, 2, 2, 0, EMPTY]);
+  expect(ruleCounts(chained, colors, cells)).toEqual([2, 3]);
+});
+
+test('rules with colours outside the palette are skipped', () => {
+  expect(remapTable([{ from: '#123456', to: '#000000' }], colors)).toBeNull();
+  expect(normalizeRules([{ from: 'fff', to: '#000000' }, { from: 'nope', to: '#000000' }, null])).toEqual([{ from: '#FFFFFF', to: '#000000' }]);
+});
@@ -0,0 +1,108 @@
+// resample.js
+// Downscaling the source image to the W×H grid.
+// "nearest" is handled by the canvas (drawImage without smoothing); the other
+// modes look at every source pixel covered by a cell. Output alpha is the cell's
+// mean alpha; colours ignore fully transparent pixels (box average is alpha-weighted).
+
+export const RESAMPLE_MODES = [
+  { id: "nearest", label: "Nearest neighbour" },
+  { id: "box", label: "Box (area average)" },
+  { id: "median", label: "Median" },
+  { id: "dominant", label: "Dominant colour" },
+];
+
+// Source pixel span [start, end) covered by cell `i` of `cells` along an axis of `size`
+function cellSpan(i, cells, size) {
+  const start = Math.floor((i * size) / cells);
+  const end = Math.max(start + 1, Math.ceil(((i + 1) * size) / cells));
+  return [start, Math.min(end, size)];
+}
+
+function medianOfHistogram(hist, count) {
+  const mid = (count - 1) / 2;
+  let seen = 0, lo = -1;
+  for (let v = 0; v < 256; v++) {
+    seen += hist[v];
+    if (lo < 0 && seen > Math.floor(mid)) lo = v;
+    if (seen > Math.ceil(mid)) return (lo + v) / 2;
+  }
+  return lo;
+}
+
+/**
+ * Resample source pixels into a W×H RGBA buffer.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} src full-resolution pixels
+ * @param {number} W
+ * @param {number} H
+ * @param {string} mode one of RESAMPLE_MODES (except "nearest")
+ * @param {{ nearest?: (rgb: {r:number,g:number,b:number}) => number, paletteRGB?: {r:number,g:number,b:number}[] }} [opts]
+ *   required for "dominant", which votes with quantized source pixels
+ * @returns {Uint8ClampedArray}
+ */
+export function resamplePixels(src, W, H, mode, opts = {}) {
+  const { data, width: sw, height: sh } = src;
+  const out = new Uint8ClampedArray(W * H * 4);
+  const histR = new Uint32Array(256), histG = new Uint32Array(256), histB = new Uint32Array(256);
+  // Source colour (packed 0xRRGGBB) → palette index, shared across cells
+  const quantCache = new Map();
+  const votes = new Map();
+
+  for (let y = 0; y < H; y++) {
+    const [y0, y1] = cellSpan(y, H, sh);
+    for (let x = 0; x < W; x++) {
+      const [x0, x1] = cellSpan(x, W, sw);
+      const o = (y * W + x) * 4;
+      const count = (x1 - x0) * (y1 - y0);
+      let r = 0, g = 0, b = 0, a = 0, opaque = 0;
+
+      if (mode === "median") {
+        histR.fill(0); histG.fill(0); histB.fill(0);
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            const i = (sy * sw + sx) * 4;
+            a += data[i + 3];
+            if (!data[i + 3]) continue;
+            histR[data[i]]++; histG[data[i + 1]]++; histB[data[i + 2]]++;
+            opaque++;
+          }
+        }
+        if (opaque) {
+          r = medianOfHistogram(histR, opaque);
+          g = medianOfHistogram(histG, opaque);
+          b = medianOfHistogram(histB, opaque);
+        }
+      } else if (mode === "dominant") {
+        votes.clear();
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            const i = (sy * sw + sx) * 4;
+            a += data[i + 3];
+            if (!data[i + 3]) continue;
+            const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            let idx = quantCache.get(key);
+            if (idx === undefined) {
+              idx = opts.nearest({ r: data[i], g: data[i + 1], b: data[i + 2] });
+              quantCache.set(key, idx);
+            }
+            votes.set(idx, (votes.get(idx) || 0) + 1);
+          }
+        }
+        let bestIdx = -1, bestVotes = -1;
+        votes.forEach((v, idx) => { if (v > bestVotes) { bestVotes = v; bestIdx = idx; } });
+        if (bestIdx >= 0) ({ r, g, b } = opts.paletteRGB[bestIdx]);
+      } else {
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            const i = (sy * sw + sx) * 4;
+            const w = data[i + 3];
+            r += data[i] * w; g += data[i + 1] * w; b += data[i + 2] * w; a += w;
+          }
+        }
+        if (a) { r /= a; g /= a; b /= a; }
+      }
+
+      out[o] = r; out[o + 1] = g; out[o + 2] = b; out[o + 3] = a / count;
+    }
+  }
+  return out;
+}
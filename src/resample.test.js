@@ -0,0 +1,34 @@
+import { resamplePixels } from './resample';
+
+const red = [200, 0, 0, 255], blue = [0, 0, 200, 255], clear = [255, 255, 255, 0];
+// One 3 × 3 block: five red, three blue and one transparent pixel
+const block = {
+  data: Uint8ClampedArray.from([red, blue, red, blue, red, clear, red, blue, red].flat()),
+  width: 3,
+  height: 3,
+};
+const paletteRGB = [{ r: 200, g: 0, b: 0 }, { r: 0, g: 0, b: 200 }];
+const nearest = ({ r, b }) => (r >= b ? 0 : 1);
+
+test('box averages the opaque pixels, weighted by alpha', () => {
+  expect(Array.from(resamplePixels(block, 1, 1, 'box'))).toEqual([125, 0, 75, 227]);
+});
+
+test('median takes each channel of the opaque pixels', () => {
+  expect(Array.from(resamplePixels(block, 1, 1, 'median'))).toEqual([200, 0, 0, 227]);
+  // An even count takes the middle two
+  const pair = { data: Uint8ClampedArray.from([0, 0, 0, 255, 100, 50, 10, 255]), width: 2, height: 1 };
+  expect(Array.from(resamplePixels(pair, 1, 1, 'median'))).toEqual([50, 25, 5, 255]);
+});
+
+test('dominant takes the palette colour most pixels match', () => {
+  expect(Array.from(resamplePixels(block, 1, 1, 'dominant', { nearest, paletteRGB }))).toEqual([200, 0, 0, 227]);
+});
+
+test('each cell only sees its own pixels', () => {
+  const out = resamplePixels({ data: Uint8ClampedArray.from([red, red, blue, blue].flat()), width: 4, height: 1 }, 2, 1, 'median');
+  expect(Array.from(out)).toEqual([...red, ...blue]);
+  // Fully transparent cells come out transparent
+  expect(Array.from(resamplePixels({ data: Uint8ClampedArray.from(clear), width: 1, height: 1 }, 1, 1, 'dominant', { nearest, paletteRGB })))
+    .toEqual([0, 0, 0, 0]);
+});
@@ -0,0 +1,201 @@
+// shareCode.js
+// Share codes. v1 is base64 JSON with pixelsAcross, genesis and zoom.
+// v2 is "w2p2.<base64url JSON>.<crc32>" and also carries the palette, its
+// enabled set, the processing options and optionally the pixel grid, stored as
+// run-length-encoded palette indices with its own checksum.
+// Decoding throws an Error whose message says what is wrong with the code.
+
+import { EMPTY } from "./dither";
+import { MAX_GRID_CELLS } from "./quantize";
+
+const V2_PREFIX = "w2p2.";
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** CRC-32 of a byte array or string (UTF-16 code units truncated to bytes), as 8 hex digits */
+export function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    const byte = typeof data === "string" ? data.charCodeAt(i) & 255 : data[i];
+    crc = CRC_TABLE[(crc ^ byte) & 255] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, "0");
+}
+
+// Base64url of a binary string (one byte per char), and back
+const toBase64Url = (bin) => btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromBase64Url = (str) => {
+  if (!/^[A-Za-z0-9_-]*$/.test(str)) throw new Error("The code contains characters that can't appear in a share code");
+  return atob(str.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((str.length + 3) % 4));
+};
+const bytesToBinary = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return bin;
+};
+
+// Runs of equal cells as [value, LEB128 run length] byte pairs
+export function encodeRle(cells) {
+  const out = [];
+  for (let i = 0; i < cells.length;) {
+    const value = cells[i];
+    let run = 1;
+    while (i + run < cells.length && cells[i + run] === value) run++;
+    out.push(value);
+    for (let n = run; ; n = Math.floor(n / 128)) {
+      if (n < 128) { out.push(n); break; }
+      out.push((n % 128) | 128);
+    }
+    i += run;
+  }
+  return Uint8Array.from(out);
+}
+
+export function decodeRle(bytes, size) {
+  const cells = new Uint8Array(size);
+  let pos = 0, i = 0;
+  while (i < bytes.length) {
+    const value = bytes[i++];
+    let run = 0, mul = 1;
+    for (;;) {
+      if (i >= bytes.length) throw new Error("The pixel grid in the code is truncated");
+      const b = bytes[i++];
+      run += (b & 127) * mul;
+      if (b < 128) break;
+      mul *= 128;
+    }
+    if (!run || pos + run > size) throw new Error("The pixel grid in the code is corrupt (too many pixels)");
+    cells.fill(value, pos, pos + run);
+    pos += run;
+  }
+  if (pos < size) throw new Error("The pixel grid in the code is truncated");
+  return cells;
+}
+
+/**
+ * Build a v2 share code.
+ * @param {object} settings
+ * @param {number} settings.pixelsAcross
+ * @param {number} settings.genesisX
+ * @param {number} settings.genesisY
+ * @param {number} settings.zoom
+ * @param {{ id: string, name: string, colors: { hex: string, name?: string }[] }} settings.palette
+ * @param {boolean[]} settings.enabled
+ * @param {object} settings.options processing options (resampling, dithering, colour metric, transform, size…)
+ * @param {{ w: number, h: number, cells: Uint8Array } | null} [grid] cells index settings.palette
+ * @returns {string}
+ */
+export function encodeShareCode({ pixelsAcross, genesisX, genesisY, zoom, palette, enabled, options }, grid = null) {
+  const payload = {
+    v: 2,
+    pixelsAcross,
+    genesisX,
+    genesisY,
+    zoom,
+    palette: { id: palette.id, name: palette.name, colors: palette.colors },
+    enabled: enabled.map(on => (on ? "1" : "0")).join(""),
+    options,
+  };
+  if (grid) {
+    payload.grid = { w: grid.w, h: grid.h, rle: toBase64Url(bytesToBinary(encodeRle(grid.cells))), crc: crc32(grid.cells) };
+  }
+  const body = toBase64Url(unescape(encodeURIComponent(JSON.stringify(payload))));
+  return `${V2_PREFIX}${body}.${crc32(body)}`;
+}
+
+function decodeV1(code) {
+  let data;
+  try {
+    data = JSON.parse(decodeURIComponent(escape(atob(code))));
+  } catch {
+    throw new Error("The code is truncated or corrupt – make sure you copied all of it");
+  }
+  if (!data || typeof data !== "object") throw new Error("The code doesn't contain any settings");
+  if (data.v !== 1) throw new Error(`Share code version ${data.v} is not supported`);
+  return data;
+}
+
+function decodeGrid(grid, paletteSize) {
+  if (!grid || typeof grid !== "object") throw new Error("The pixel grid in the code is corrupt");
+  const { w, h, rle, crc } = grid;
+  if (!Number.isInteger(w) || !Number.isInteger(h) || w < 1 || h < 1 || typeof rle !== "string") {
+    throw new Error("The pixel grid in the code is corrupt (bad size)");
+  }
+  if (w * h > MAX_GRID_CELLS) throw new Error("The pixel grid in the code is too large");
+  const cells = decodeRle(Uint8Array.from(fromBase64Url(rle), ch => ch.charCodeAt(0)), w * h);
+  if (crc32(cells) !== crc) throw new Error("The pixel grid in the code is corrupt (checksum mismatch)");
+  for (let i = 0; i < cells.length; i++) {
+    if (cells[i] !== EMPTY && cells[i] >= paletteSize) throw new Error("The pixel grid uses colours that aren't in the code's palette");
+  }
+  return { w, h, cells };
+}
+
+function decodeV2(code) {
+  const parts = code.slice(V2_PREFIX.length).split(".");
+  if (parts.length < 2 || !/^[0-9a-f]{8}$/.test(parts[1])) {
+    throw new Error("The code is truncated – make sure you copied all of it");
+  }
+  if (parts.length > 2) throw new Error("The code is corrupt (unexpected characters)");
+  const [body, checksum] = parts;
+  if (crc32(body) !== checksum) throw new Error("The code is corrupt (checksum mismatch) – it may have been changed or cut short");
+  let data;
+  try {
+    data = JSON.parse(decodeURIComponent(escape(fromBase64Url(body))));
+  } catch (e) {
+    if (/characters/.test(e.message)) throw e;
+    throw new Error("The code is corrupt (unreadable settings)");
+  }
+  if (!data || typeof data !== "object" || data.v !== 2) throw new Error("The code is corrupt (unreadable settings)");
+  const colors = data.palette && Array.isArray(data.palette.colors) ? data.palette.colors : null;
+  if (!colors || !colors.length || !colors.every(c => c && /^#[0-9A-F]{6}$/.test(c.hex))) {
+    throw new Error("The palette in the code is corrupt");
+  }
+  const enabled = typeof data.enabled === "string" && /^[01]*$/.test(data.enabled) && data.enabled.length === colors.length
+    ? Array.from(data.enabled, ch => ch === "1")
+    : colors.map(() => true);
+  return {
+    ...data,
+    palette: { id: typeof data.palette.id === "string" ? data.palette.id : "", name: String(data.palette.name || "Shared palette"), colors },
+    enabled,
+    options: data.options && typeof data.options === "object" ? data.options : {},
+    grid: data.grid ? decodeGrid(data.grid, colors.length) : null,
+  };
+}
+
+/**
+ * The share code in a pasted "#plan=" link, or the text itself when it isn't a link.
+ * Throws when the link's escapes are damaged.
+ * @param {string} text
+ * @returns {string}
+ */
+export function codeFromLink(text) {
+  const m = /#plan=([^&\s]+)/.exec(text);
+  if (!m) return text.trim();
+  try {
+    return decodeURIComponent(m[1]);
+  } catch {
+    throw new Error("The link is damaged – make sure you copied all of it");
+  }
+}
+
+/**
+ * Decode a v1 or v2 share code.
+ * @param {string} code
+ * @returns {object} the settings; v2 adds { palette, enabled, options, grid }
+ */
+export function decodeShareCode(code) {
+  const trimmed = code.trim();
+  if (trimmed.startsWith(V2_PREFIX)) return decodeV2(trimmed);
+  const newer = /^w2p(\d+)\./.exec(trimmed);
+  if (newer) throw new Error(`Share code version ${newer[1]} is newer than this app supports`);
+  if (!/^[A-Za-z0-9+/]+=*$/.test(trimmed)) throw new Error("The code contains characters that can't appear in a share code");
+  return decodeV1(trimmed);
+}
@@ -0,0 +1,46 @@
+import { codeFromLink, decodeShareCode, encodeShareCode, encodeRle, decodeRle } from './shareCode';
+
+const settings = {
+  pixelsAcross: 4,
+  genesisX: -12,
+  genesisY: 300,
+  zoom: 8,
+  palette: { id: 'custom-1', name: 'Café', colors: [{ hex: '#FF4500', name: 'Orange' }, { hex: '#000000' }] },
+  enabled: [true, false],
+  options: { ditherMode: 'none', colorMetric: 'ciede2000' },
+};
+const grid = { w: 4, h: 2, cells: Uint8Array.from([0, 0, 0, 1, 255, 255, 1, 1]) };
+
+test('round-trips a v2 code with its grid', () => {
+  const data = decodeShareCode(encodeShareCode(settings, grid));
+  expect(data.palette).toEqual(settings.palette);
+  expect(data.enabled).toEqual([true, false]);
+  expect(data.options).toEqual(settings.options);
+  expect(data.genesisX).toBe(-12);
+  expect(Array.from(data.grid.cells)).toEqual(Array.from(grid.cells));
+});
+
+test('run lengths longer than one byte survive the RLE', () => {
+  const cells = new Uint8Array(40000).fill(3);
+  cells[20000] = 7;
+  expect(decodeRle(encodeRle(cells), cells.length)).toEqual(cells);
+});
+
+test('still reads v1 codes', () => {
+  const v1 = btoa(JSON.stringify({ v: 1, pixelsAcross: 80, genesisX: 1, genesisY: 2, zoom: 4 }));
+  expect(decodeShareCode(v1)).toMatchObject({ v: 1, pixelsAcross: 80 });
+});
+
+test('reports truncated and corrupt codes specifically', () => {
+  const code = encodeShareCode(settings, grid);
+  expect(() => decodeShareCode(code.slice(0, code.length - 12))).toThrow(/truncated/);
+  const tampered = code.replace(/^(w2p2\.)(.)/, (_, p, c) => p + (c === 'A' ? 'B' : 'A'));
+  expect(() => decodeShareCode(tampered)).toThrow(/checksum/);
+  expect(() => decodeShareCode('not a code!')).toThrow(/characters/);
+});
+
+test('finds the code in a link and reports damaged escapes', () => {
+  expect(codeFromLink('https://example.com/#plan=w2p2.a%2Bb')).toBe('w2p2.a+b');
+  expect(codeFromLink('  w2p2.abc ')).toBe('w2p2.abc');
+  expect(() => codeFromLink('https://example.com/#plan=%E0%A4%A')).toThrow(/damaged/);
+});
@@ -0,0 +1,172 @@
+// transform.js
+// Crop / rotate / flip / straighten applied to the source image before pixelation,
+// and fitting the result to a grid of a different shape.
+// Order: 90° rotation, then flips and straighten in display space, then the crop.
+// The crop is stored as fractions of the rotated image so it doesn't depend on
+// the image's resolution: { x, y, w, h } in 0..1, or null for the whole image.
+
+export const DEFAULT_TRANSFORM = { rotate: 0, flipH: false, flipV: false, straighten: 0, crop: null, aspect: "free" };
+
+export const MAX_STRAIGHTEN = 45; // degrees either way
+
+// Smallest crop side, as a fraction of the image
+const MIN_CROP = 0.02;
+
+export const ASPECT_PRESETS = [
+  { id: "free", label: "Free", ratio: null },
+  { id: "original", label: "Original", ratio: null },
+  { id: "1:1", label: "1:1", ratio: 1 },
+  { id: "4:3", label: "4:3", ratio: 4 / 3 },
+  { id: "3:4", label: "3:4", ratio: 3 / 4 },
+  { id: "16:9", label: "16:9", ratio: 16 / 9 },
+  { id: "9:16", label: "9:16", ratio: 9 / 16 },
+];
+
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+/** Validate a saved or shared transform, falling back to defaults field by field */
+export function normalizeTransform(t) {
+  if (!t || typeof t !== "object") return DEFAULT_TRANSFORM;
+  const out = { ...DEFAULT_TRANSFORM };
+  if ([0, 90, 180, 270].includes(t.rotate)) out.rotate = t.rotate;
+  out.flipH = t.flipH === true;
+  out.flipV = t.flipV === true;
+  if (typeof t.straighten === "number" && Number.isFinite(t.straighten)) out.straighten = clamp(t.straighten, -MAX_STRAIGHTEN, MAX_STRAIGHTEN);
+  if (ASPECT_PRESETS.some(p => p.id === t.aspect)) out.aspect = t.aspect;
+  const c = t.crop;
+  if (c && ["x", "y", "w", "h"].every(k => typeof c[k] === "number" && Number.isFinite(c[k]))) {
+    const w = clamp(c.w, MIN_CROP, 1), h = clamp(c.h, MIN_CROP, 1);
+    out.crop = { x: clamp(c.x, 0, 1 - w), y: clamp(c.y, 0, 1 - h), w, h };
+  }
+  return out;
+}
+
+/** Size of the image after the 90° rotation (straighten keeps the size) */
+export function rotatedSize(width, height, t) {
+  return t.rotate % 180 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Draw the transformed image onto a new canvas.
+ * @param {CanvasImageSource} img
+ * @param {number} width natural width
+ * @param {number} height natural height
+ * @param {object} t transform
+ * @param {{ crop?: boolean, maxSize?: number }} [opts] crop=false draws the whole rotated image (for the crop editor)
+ * @returns {HTMLCanvasElement | null}
+ */
+export function renderTransformed(img, width, height, t, { crop = true, maxSize = 0 } = {}) {
+  const full = rotatedSize(width, height, t);
+  const scale = maxSize ? Math.min(1, maxSize / Math.max(full.width, full.height)) : 1;
+  const area = crop && t.crop ? t.crop : { x: 0, y: 0, w: 1, h: 1 };
+  const c = document.createElement("canvas");
+  c.width = Math.max(1, Math.round(area.w * full.width * scale));
+  c.height = Math.max(1, Math.round(area.h * full.height * scale));
+  const ctx = c.getContext("2d");
+  if (!ctx) return null;
+  // Exact 90° turns and flips keep pixels intact; only straightening resamples
+  ctx.imageSmoothingEnabled = !!t.straighten || scale < 1;
+  ctx.translate(-area.x * full.width * scale, -area.y * full.height * scale);
+  ctx.translate((full.width * scale) / 2, (full.height * scale) / 2);
+  ctx.rotate((t.straighten * Math.PI) / 180);
+  ctx.scale(t.flipH ? -1 : 1, t.flipV ? -1 : 1);
+  ctx.rotate((t.rotate * Math.PI) / 180);
+  ctx.drawImage(img, (-width * scale) / 2, (-height * scale) / 2, width * scale, height * scale);
+  return c;
+}
+
+/** Turn the displayed image a quarter clockwise (dir 1) or anticlockwise (dir -1), crop included */
+export function rotateTransform(t, dir) {
+  // The rotation sits under the flips, so with one flip set it turns the other way on screen
+  const step = (t.flipH !== t.flipV ? -dir : dir) * 90;
+  const c = t.crop;
+  const crop = !c ? null : dir > 0
+    ? { x: 1 - c.y - c.h, y: c.x, w: c.h, h: c.w }
+    : { x: c.y, y: 1 - c.x - c.w, w: c.h, h: c.w };
+  return { ...t, rotate: (t.rotate + step + 360) % 360, crop };
+}
+
+/** Mirror the displayed image; axis "h" flips left/right, "v" top/bottom */
+export function flipTransform(t, axis) {
+  const c = t.crop;
+  if (axis === "h") return { ...t, flipH: !t.flipH, crop: c && { ...c, x: 1 - c.x - c.w } };
+  return { ...t, flipV: !t.flipV, crop: c && { ...c, y: 1 - c.y - c.h } };
+}
+
+/**
+ * Largest crop with the given shape centred in the current one.
+ * @param {object | null} crop
+ * @param {number} ratio width / height in crop fractions
+ */
+export function fitCropToAspect(crop, ratio) {
+  const c = crop || { x: 0, y: 0, w: 1, h: 1 };
+  let w = c.w, h = c.h;
+  if (w / h > ratio) w = h * ratio;
+  else h = w / ratio;
+  return { x: c.x + (c.w - w) / 2, y: c.y + (c.h - h) / 2, w, h };
+}
+
+/**
+ * Move or resize a crop by a drag.
+ * @param {{ x: number, y: number, w: number, h: number }} start crop when the drag began
+ * @param {string} handle "move" or a compass handle: n, s, e, w, ne, nw, se, sw
+ * @param {number} dx drag distance as a fraction of the image width
+ * @param {number} dy drag distance as a fraction of the image height
+ * @param {number | null} ratio locked width / height in crop fractions
+ */
+export function dragCrop(start, handle, dx, dy, ratio) {
+  const { x, y, w, h } = start;
+  if (handle === "move") {
+    return { x: clamp(x + dx, 0, 1 - w), y: clamp(y + dy, 0, 1 - h), w, h };
+  }
+  const west = handle.includes("w"), east = handle.includes("e");
+  const north = handle.includes("n"), south = handle.includes("s");
+
+  if (ratio && (west || east) && (north || south)) {
+    // Corner with a locked shape: the opposite corner stays put
+    const anchorX = west ? x + w : x, anchorY = north ? y + h : y;
+    const maxW = Math.min(west ? anchorX : 1 - anchorX, (north ? anchorY : 1 - anchorY) * ratio);
+    const nw = clamp(w + (west ? -dx : dx), Math.max(MIN_CROP, MIN_CROP * ratio), maxW);
+    const nh = nw / ratio;
+    return { x: west ? anchorX - nw : anchorX, y: north ? anchorY - nh : anchorY, w: nw, h: nh };
+  }
+
+  let left = x, right = x + w, top = y, bottom = y + h;
+  if (west) left = clamp(x + dx, 0, right - MIN_CROP);
+  if (east) right = clamp(x + w + dx, left + MIN_CROP, 1);
+  if (north) top = clamp(y + dy, 0, bottom - MIN_CROP);
+  if (south) bottom = clamp(y + h + dy, top + MIN_CROP, 1);
+  return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+// How the source fills a grid whose shape differs from it
+export const FIT_MODES = [
+  { id: "fit", label: "Fit (empty margins)" },
+  { id: "fill", label: "Fill (crop to cover)" },
+  { id: "stretch", label: "Stretch" },
+];
+
+/**
+ * Reshape a canvas to the given width / height ratio without distorting it:
+ * "fit" pads it with transparent margins, "fill" crops it centrally.
+ * Any other mode returns the canvas unchanged (it gets stretched).
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} ratio
+ * @param {string} mode one of FIT_MODES
+ * @returns {HTMLCanvasElement}
+ */
+export function fitToAspect(canvas, ratio, mode) {
+  const { width, height } = canvas;
+  if (mode !== "fit" && mode !== "fill") return canvas;
+  const wider = width / height > ratio;
+  const w = mode === "fit" ? (wider ? width : Math.round(height * ratio)) : (wider ? Math.round(height * ratio) : width);
+  const h = mode === "fit" ? (wider ? Math.round(width / ratio) : height) : (wider ? height : Math.round(width / ratio));
+  if (w === width && h === height) return canvas;
+  const out = document.createElement("canvas");
+  out.width = Math.max(1, w);
+  out.height = Math.max(1, h);
+  const ctx = out.getContext("2d");
+  if (!ctx) return canvas;
+  ctx.drawImage(canvas, Math.round((w - width) / 2), Math.round((h - height) / 2));
+  return out;
+}
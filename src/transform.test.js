@@ -0,0 +1,28 @@
+import { DEFAULT_TRANSFORM, dragCrop, flipTransform, normalizeTransform, rotateTransform } from './transform';
+
+const crop = { x: 0.1, y: 0.2, w: 0.3, h: 0.4 };
+
+test('four quarter turns bring the crop back', () => {
+  let t = { ...DEFAULT_TRANSFORM, crop };
+  for (let i = 0; i < 4; i++) t = rotateTransform(t, 1);
+  expect(t.rotate).toBe(0);
+  ['x', 'y', 'w', 'h'].forEach(k => expect(t.crop[k]).toBeCloseTo(crop[k]));
+  expect(rotateTransform(rotateTransform(t, 1), -1).crop.x).toBeCloseTo(crop.x);
+});
+
+test('rotation turns the other way under a single flip', () => {
+  const flipped = flipTransform(DEFAULT_TRANSFORM, 'h');
+  expect(rotateTransform(flipped, 1).rotate).toBe(270);
+});
+
+test('a locked-shape corner drag keeps the ratio and the opposite corner', () => {
+  const out = dragCrop(crop, 'se', 0.1, 0, 0.75);
+  expect(out.x).toBeCloseTo(0.1);
+  expect(out.y).toBeCloseTo(0.2);
+  expect(out.w / out.h).toBeCloseTo(0.75);
+});
+
+test('crops are clamped to the image', () => {
+  expect(dragCrop(crop, 'move', 5, -5, null)).toEqual({ x: 0.7, y: 0, w: 0.3, h: 0.4 });
+  expect(normalizeTransform({ rotate: 45, crop: { x: 0.9, y: 0, w: 0.5, h: 1 } })).toMatchObject({ rotate: 0, crop: { x: 0.5, w: 0.5 } });
+});
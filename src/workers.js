@@ -0,0 +1,10 @@
+// workers.js
+// Creates the app's web workers. Kept in its own module so that only browsers
+// (which have Worker) ever load the `import.meta` syntax; see quantizeClient.js.
+export function createQuantizeWorker() {
+  return new Worker(new URL("./quantize.worker.js", import.meta.url));
+}
+
+export function createOptimiseWorker() {
+  return new Worker(new URL("./optimise.worker.js", import.meta.url));
+}
@@ -0,0 +1,78 @@
+// wplace.js
+// wplace addresses a pixel as a tile plus a pixel inside it: the world is
+// 2048 × 2048 tiles of 1000 × 1000 pixels, laid over a Web Mercator map.
+// Global coordinates here are pixels from the world's top-left, so
+// global = tile * 1000 + pixel. Shared locations are map links (?lat=&lng=).
+
+export const TILE_SIZE = 1000;
+export const WORLD_TILES = 2048;
+export const WORLD_SIZE = TILE_SIZE * WORLD_TILES;
+
+export const COORD_SYSTEMS = [
+  { id: "global", label: "Global (x, y)" },
+  { id: "tile", label: "wplace tile + pixel" },
+];
+
+const floorMod = (a, n) => ((a % n) + n) % n;
+
+/** Global pixel → { tx, ty, px, py } */
+export function toTile(x, y) {
+  return { tx: Math.floor(x / TILE_SIZE), ty: Math.floor(y / TILE_SIZE), px: floorMod(x, TILE_SIZE), py: floorMod(y, TILE_SIZE) };
+}
+
+/** Tile and pixel → global { x, y } */
+export function fromTile(tx, ty, px, py) {
+  return { x: tx * TILE_SIZE + px, y: ty * TILE_SIZE + py };
+}
+
+export function formatTile(x, y) {
+  const { tx, ty, px, py } = toTile(x, y);
+  return `Tl ${tx}/${ty} Px ${px}/${py}`;
+}
+
+/** Map position → the global pixel under it */
+export function latLngToPixel(lat, lng) {
+  const clampedLat = Math.max(-85.05112878, Math.min(85.05112878, lat));
+  const s = Math.sin((clampedLat * Math.PI) / 180);
+  const x = ((lng + 180) / 360) * WORLD_SIZE;
+  const y = (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * WORLD_SIZE;
+  const clamp = (v) => Math.max(0, Math.min(WORLD_SIZE - 1, Math.floor(v)));
+  return { x: clamp(x), y: clamp(y) };
+}
+
+const NUMBER = "(-?\\d+)";
+const SEP = "\\s*[,/;]?\\s*(?:Y\\s*[:=]?\\s*)?";
+// "Tl X: 12, Y: 34, Px X: 56, Y: 78", "Tl 12/34 Px 56/78" and the like
+const TILE_TEXT = new RegExp(`T(?:l|ile)\\s*(?:X\\s*)?[:=]?\\s*${NUMBER}${SEP}${NUMBER}.*?P(?:x|ixel)\\s*(?:X\\s*)?[:=]?\\s*${NUMBER}${SEP}${NUMBER}`, "is");
+
+/**
+ * Find a wplace location in pasted text: a map link with lat and lng, a tile/pixel
+ * API link (…/pixel/TX/TY?x=PX&y=PY, in either order) or a "Tl X/Y Px X/Y" string.
+ * Throws an Error saying which number is off the map for a tile or pixel out of range.
+ * @returns {{ x: number, y: number } | null} global coordinates, null if there is no location
+ */
+export function parseLocation(text) {
+  const str = String(text || "").trim();
+  const lat = /[?&#]lat=(-?[\d.]+)/.exec(str), lng = /[?&#]lng=(-?[\d.]+)/.exec(str);
+  if (lat && lng && Number.isFinite(+lat[1]) && Number.isFinite(+lng[1])) return latLngToPixel(+lat[1], +lng[1]);
+  const api = /\/pixel\/(\d+)\/(\d+)\?(\S*)/.exec(str);
+  const apiX = api && /(?:^|&)x=(\d+)/.exec(api[3]), apiY = api && /(?:^|&)y=(\d+)/.exec(api[3]);
+  const tile = TILE_TEXT.exec(str);
+  let numbers;
+  if (apiX && apiY) numbers = [api[1], api[2], apiX[1], apiY[1]];
+  else if (tile) numbers = tile.slice(1);
+  else return null;
+  const [tx, ty, px, py] = numbers.map(Number);
+  if (![tx, ty].every(t => t >= 0 && t < WORLD_TILES)) throw new Error(`Tile ${tx}/${ty} is off the map: tiles run from 0 to ${WORLD_TILES - 1}`);
+  if (![px, py].every(p => p >= 0 && p < TILE_SIZE)) throw new Error(`Pixel ${px}/${py} is outside its tile: pixels run from 0 to ${TILE_SIZE - 1}`);
+  return fromTile(tx, ty, px, py);
+}
+
+/** Tiles a w × h area at (x, y) touches, across and down */
+export function tileSpan(x, y, w, h) {
+  if (w <= 0 || h <= 0) return { across: 0, down: 0 };
+  return {
+    across: Math.floor((x + w - 1) / TILE_SIZE) - Math.floor(x / TILE_SIZE) + 1,
+    down: Math.floor((y + h - 1) / TILE_SIZE) - Math.floor(y / TILE_SIZE) + 1,
+  };
+}
@@ -0,0 +1,29 @@
+import { formatTile, fromTile, parseLocation, tileSpan, toTile } from './wplace';
+
+test('converts between global and tile coordinates', () => {
+  expect(toTile(12345, 999)).toEqual({ tx: 12, ty: 0, px: 345, py: 999 });
+  expect(fromTile(12, 0, 345, 999)).toEqual({ x: 12345, y: 999 });
+  expect(formatTile(-1, 1000)).toBe('Tl -1/1 Px 999/0');
+});
+
+test('reads locations from links and tile strings', () => {
+  expect(parseLocation('Tl X: 1023, Y: 680, Px X: 12, Y: 7')).toEqual({ x: 1023012, y: 680007 });
+  expect(parseLocation('tl 3/4 px 5/6')).toEqual({ x: 3005, y: 4006 });
+  expect(parseLocation('https://backend.wplace.live/s0/pixel/3/4?x=5&y=6')).toEqual({ x: 3005, y: 4006 });
+  // The map centre is the middle of the world
+  expect(parseLocation('https://wplace.live/?lat=0&lng=0&zoom=12')).toEqual({ x: 1024000, y: 1024000 });
+  expect(parseLocation('no location here')).toBeNull();
+  expect(parseLocation('https://backend.wplace.live/s0/pixel/3/4?y=6&x=5')).toEqual({ x: 3005, y: 4006 });
+});
+
+test('rejects tiles and pixels off the map', () => {
+  expect(() => parseLocation('Tl 1/2 Px 1000/0')).toThrow(/outside its tile/);
+  expect(() => parseLocation('https://backend.wplace.live/s0/pixel/3/4?x=5&y=1000')).toThrow(/outside its tile/);
+  expect(() => parseLocation('Tl 5000/2 Px 1/1')).toThrow(/off the map/);
+  expect(() => parseLocation('Tl -1/2 Px 1/1')).toThrow(/off the map/);
+});
+
+test('counts the tiles an area touches', () => {
+  expect(tileSpan(990, 0, 10, 10)).toEqual({ across: 1, down: 1 });
+  expect(tileSpan(990, 995, 11, 10)).toEqual({ across: 2, down: 2 });
+});